@@ -15,9 +15,20 @@ const userRoutes = require("./src/routes/user.route");
 const socialRoutes = require("./src/routes/social.route");
 const eventRoutes = require("./src/routes/event.route");
 const webhookRoutes = require("./src/routes/webhook.route");
+const apiKeyRoutes = require("./src/routes/apiKey.route");
+const { startPinscoreScheduler } = require("./src/utils/pinscoreEngine.utils");
+const { startYoutubeSubscriptionScheduler } = require("./src/utils/youtubeSubscription.utils");
+const { startWebhookInboxWorker } = require("./src/utils/webhookInbox.utils");
+const { startTokenRefresher } = require("./src/utils/tokenManager.utils");
+const { startYoutubeVideoSync } = require("./src/utils/youtubeVideoSync.utils");
+const { captureRawBody } = require("./src/middleware/webhookSignature.middleware");
 
 const app = express();
 
+// Behind Vercel's proxy: trust the first hop so req.ip is the client address
+// (per-IP throttling depends on it)
+app.set("trust proxy", 1);
+
 // ============================================
 // MIDDLEWARE CONFIGURATION
 // ============================================
@@ -35,9 +46,14 @@ app.use(cors({
     credentials: true
 }));
 
-// Body Parsing
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Body Parsing (raw bytes are kept for webhook signature verification)
+app.use(express.json({ limit: "10mb", verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "10mb", verify: captureRawBody }));
+app.use(express.text({
+    type: ["application/atom+xml", "application/xml", "text/xml"],
+    limit: "10mb",
+    verify: captureRawBody
+}));
 
 // Session Middleware
 app.use(session({
@@ -118,6 +134,7 @@ app.use("/api/user", userRoutes);
 app.use("/api/social", socialRoutes);
 app.use("/api/events", eventRoutes);
 app.use("/api/webhooks", webhookRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
 
 // ============================================
 // 404 HANDLER
@@ -210,6 +227,21 @@ const startServer = async () => {
         // Connect to database
         await connectDB();
         console.log("MongoDB connected successfully");
+
+        // Background Pinscore refresh
+        startPinscoreScheduler();
+
+        // YouTube push subscription lease renewal
+        startYoutubeSubscriptionScheduler();
+
+        // Webhook inbox retries and recovery
+        startWebhookInboxWorker();
+
+        // Long-lived platform token renewal
+        startTokenRefresher();
+
+        // Per-video YouTube counter sync
+        startYoutubeVideoSync();
         
         // Start server
         app.listen(PORT, () => {
@@ -225,12 +257,14 @@ const startServer = async () => {
             console.log("   - Social:     /api/social/*");
             console.log("   - Events:     /api/events/*");
             console.log("   - Webhooks:   /api/webhooks/*");
+            console.log("   - API Keys:   /api/api-keys/*");
             console.log("\n Features Enabled:");
             console.log("   ✓ Authentication (JWT + OAuth)");
             console.log("   ✓ Event System (Canonical Schema)");
             console.log("   ✓ Webhook Ingestion");
             console.log("   ✓ Social Analytics");
             console.log("   ✓ Platform Integration");
+            console.log("   ✓ Pinscore Engine");
             console.log("=".repeat(50) + "\n");
         });
     } catch (error) {
@@ -0,0 +1,30 @@
+// scripts/dedupeRawEventIds.js
+// Resolve events sharing a (platform, metadata.raw_event_id), then build the
+// unique dedup index on it. Run before deploying a version with that index.
+// Usage: npm run dedupe:raw-event-ids
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db.config");
+const Event = require("../src/schema/event.schema");
+const { dedupeRawEventIds } = require("../src/utils/eventMigrations.utils");
+
+const run = async () => {
+  await connectDB();
+
+  console.log("Resolving duplicate raw event ids...");
+  const { rekeyed, removed } = await dedupeRawEventIds();
+  console.log(`Done. ${rekeyed} Twitter favourite(s) re-keyed, ${removed} duplicate(s) removed.`);
+
+  console.log("Building event indexes...");
+  await Event.createIndexes();
+  console.log("Done.");
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Raw event id dedupe failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// scripts/encryptPlatformTokens.js
+// Encrypt platform credentials still stored in plaintext, and re-wrap values
+// encrypted under a retired TOKEN_ENCRYPTION_KEYS key with the active key.
+// Usage: npm run encrypt:platform-tokens
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db.config");
+const { reencryptStoredCredentials } = require("../src/utils/tokenMigrations.utils");
+
+const run = async () => {
+  await connectDB();
+
+  console.log("Re-encrypting platform credentials with the active key...");
+  const { scanned, updated, skipped } = await reencryptStoredCredentials();
+  console.log(`Done. ${scanned} user(s) scanned, ${updated} updated, ${skipped} changed meanwhile (run again).`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Credential re-encryption failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+// scripts/rebuildEventStats.js
+// Recompute every user's eventStats from the events collection.
+// Usage: npm run rebuild:event-stats [-- <userId>]
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db.config");
+const { rebuildEventStats } = require("../src/utils/eventStats.utils");
+
+const run = async () => {
+  const userId = process.argv[2];
+
+  await connectDB();
+
+  console.log(userId ? `Rebuilding eventStats for user ${userId}...` : "Rebuilding eventStats for all users...");
+  const updated = await rebuildEventStats({ userId });
+  console.log(`Done. ${updated} user(s) updated.`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("eventStats rebuild failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// scripts/retractDailyCounterEvents.js
+// Retract the lifetime-counter events stored once per day
+// (<prefix>_<metric>_<id>_<YYYY-MM-DD>) before polled counters moved to snapshot deltas.
+// Usage: npm run retract:daily-counter-events
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db.config");
+const { retractDailyCounterEvents } = require("../src/utils/eventMigrations.utils");
+
+const run = async () => {
+  await connectDB();
+
+  console.log("Retracting daily lifetime-counter events...");
+  const { found, retracted } = await retractDailyCounterEvents();
+  console.log(`Done. ${found} event(s) found, ${retracted} retracted.`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Daily counter event retraction failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
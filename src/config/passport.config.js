@@ -2,6 +2,8 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../schema/user.schema');
 
 const axios = require('axios');
+const { subscribeChannel } = require('../utils/youtubeSubscription.utils');
+const { loggableError } = require('../utils/redact.utils');
 
 module.exports = (passport) => {
   // Existing Google Strategy
@@ -49,11 +51,13 @@ module.exports = (passport) => {
           clientSecret: process.env.YOUTUBE_CLIENT_SECRET,
           callbackURL: process.env.YOUTUBE_REDIRECT_URI,
         },
-        async (accessToken, refreshToken, profile, done) => {
+        // params is the raw token response (carries expires_in)
+        async (accessToken, refreshToken, params, profile, done) => {
           try {
             // Fetch user's YouTube channel
             const channelResponse = await axios.get(
-              `https://www.googleapis.com/youtube/v3/channels?part=snippet,statistics&mine=true&access_token=${accessToken}`
+              'https://www.googleapis.com/youtube/v3/channels?part=snippet,statistics&mine=true',
+              { headers: { Authorization: `Bearer ${accessToken}` } }
             );
 
             if (channelResponse.data.items.length === 0) {
@@ -79,12 +83,19 @@ module.exports = (passport) => {
               username: channel.snippet.customUrl || channel.snippet.title,
               accessToken,
               refreshToken,
+              tokenExpiresAt: params.expires_in ? new Date(Date.now() + params.expires_in * 1000) : null,
             };
 
             await user.save();
+
+            // Push notifications for new uploads; a failed request is retried by the renewal job
+            subscribeChannel(channel.id).catch((err) => {
+              console.error('YouTube subscription error:', err.message);
+            });
+
             return done(null, user);
           } catch (err) {
-            console.error('YouTube OAuth error:', err);
+            console.error('YouTube OAuth error:', loggableError(err));
             return done(err, null);
           }
         }
@@ -0,0 +1,68 @@
+// src/config/pinscore.config.js
+
+/**
+ * Pinscore scoring configuration.
+ *
+ * Points for an event = metrics.count * EVENT_TYPE_WEIGHTS[type].
+ * Each platform's points are normalized against its baseline so that a
+ * high-volume platform (e.g. YouTube impressions) doesn't drown out the others:
+ *
+ *   platformScore = 100 * log10(1 + max(points, 0) / PLATFORM_BASELINES[platform])
+ *   total         = sum(platformScore * PLATFORM_MULTIPLIERS[platform])
+ *
+ * Velocity uses the same formula over recent events only, with each event's
+ * points decayed by its age (half-life VELOCITY.halfLifeDays).
+ */
+
+const EVENT_TYPE_WEIGHTS = {
+  impression: 0.01,
+  engagement: 1,
+  click: 1.5,
+  comment: 3,
+  save: 4,
+  share: 5,
+  follow: 10,
+  // Watch time records carry views already counted as impressions
+  watch: 0
+};
+
+const PLATFORM_MULTIPLIERS = {
+  twitter: 1,
+  instagram: 1,
+  youtube: 1,
+  tiktok: 1,
+  facebook: 1,
+  threads: 1
+};
+
+// Points that count as "typical" activity on each platform
+const PLATFORM_BASELINES = {
+  twitter: 1000,
+  instagram: 1000,
+  youtube: 5000,
+  tiktok: 5000,
+  facebook: 1000,
+  threads: 500
+};
+
+const VELOCITY = {
+  windowDays: 30,
+  halfLifeDays: 7
+};
+
+const SCHEDULE = {
+  // Set PINSCORE_INTERVAL_MINUTES=0 to disable the background scheduler
+  intervalMinutes: process.env.PINSCORE_INTERVAL_MINUTES !== undefined
+    ? Number(process.env.PINSCORE_INTERVAL_MINUTES)
+    : 15,
+  // Scores are refreshed at least this often so velocity decays without new events
+  maxAgeHours: 24
+};
+
+module.exports = {
+  EVENT_TYPE_WEIGHTS,
+  PLATFORM_MULTIPLIERS,
+  PLATFORM_BASELINES,
+  VELOCITY,
+  SCHEDULE
+};
@@ -0,0 +1,42 @@
+// src/config/roles.config.js
+
+/**
+ * Roles and the permissions they grant.
+ * Permissions are "<resource>:<action>[:<scope>]"; "*" grants everything.
+ */
+const ROLES = {
+  ADMIN: "admin",
+  ANALYST: "analyst",
+  CREATOR: "creator"
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ["*"],
+  [ROLES.ANALYST]: [
+    "events:read",
+    "events:read:all",
+    "webhooks:stats"
+  ],
+  [ROLES.CREATOR]: [
+    "events:read"
+  ]
+};
+
+// Tokens issued before roles existed carry role "user"
+const LEGACY_ROLE_MAP = {
+  user: ROLES.CREATOR
+};
+
+const normalizeRole = (role) => LEGACY_ROLE_MAP[role] || role;
+
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[normalizeRole(role)] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  hasPermission
+};
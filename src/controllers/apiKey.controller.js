@@ -0,0 +1,115 @@
+// src/controllers/apiKey.controller.js
+const crypto = require("crypto");
+const ApiKey = require("../schema/apiKey.schema");
+const { hashApiKey } = require("../middleware/apiKey.middleware");
+
+// Create API Key (plaintext key is only ever returned here)
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, platforms, sources, quota, expiresAt } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required"
+      });
+    }
+
+    const key = `psk_${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await new ApiKey({
+      name,
+      prefix: key.slice(0, 12),
+      keyHash: hashApiKey(key),
+      createdBy: req.user.userId,
+      scopes: {
+        platforms: Array.isArray(platforms) ? platforms : [],
+        sources: Array.isArray(sources) ? sources : []
+      },
+      quota: {
+        limit: quota?.limit ?? null,
+        ...(quota?.windowMs && { windowMs: quota.windowMs })
+      },
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now; it will not be shown again.",
+      data: {
+        key,
+        apiKey: apiKey.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API key",
+      error: error.message
+    });
+  }
+};
+
+// List API Keys
+exports.listApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+    const query = includeRevoked === "true" ? {} : { revokedAt: null };
+
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys.map(key => key.toPublicJSON())
+    });
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list API keys",
+      error: error.message
+    });
+  }
+};
+
+// Revoke API Key
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found"
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked",
+      data: apiKey.toPublicJSON()
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API key",
+      error: error.message
+    });
+  }
+};
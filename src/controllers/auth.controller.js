@@ -1,11 +1,55 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const sendEmail = require("../utils/sendEmail.utils");
 const crypto = require("crypto");
 const User = require("../schema/user.schema");
+const Session = require("../schema/session.schema");
+const {
+  createSession,
+  rotateSession,
+  revokeAllSessions,
+  parseRefreshToken,
+  hashToken,
+} = require("../utils/session.utils");
+const { checkLock, hit, consumeCooldown, reset: resetRateLimit } = require("../utils/rateLimit.utils");
 const fs = require("fs");
 const path = require("path");
 
+const PASSWORD_REGEX = /^(?=.*[A-Z])(?=.*[0-9!@#$%^&*])(?=.*[a-z]).{8,}$/;
+const PASSWORD_REQUIREMENTS_MESSAGE =
+  "Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number or special character";
+
+const RESET_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes (matches the email copy)
+const RESET_REQUEST_COOLDOWN_MS = 60 * 1000; // 1 minute between reset emails
+const MAX_RESET_ATTEMPTS = 5;
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between codes per email
+// Failed verifications before a lockout, tracked per email and per IP
+const OTP_EMAIL_FAILURE_LIMIT = { limit: 5, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000 };
+const OTP_IP_FAILURE_LIMIT = { limit: 20, windowMs: 15 * 60 * 1000, lockoutMs: 30 * 60 * 1000 };
+// Codes an IP may request before it has to wait
+const OTP_IP_SEND_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000, lockoutMs: 60 * 60 * 1000 };
+
+// One-time codes are only ever persisted as hashes
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(String(code)).digest("hex");
+
+const codesMatch = (code, storedHash) => {
+  const candidate = Buffer.from(hashCode(code), "hex");
+  const stored = Buffer.from(storedHash, "hex");
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+const tooManyRequests = (res, message, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
+
+const otpFailureKeys = (email, ip) => ({
+  emailKey: `otp:fail:email:${String(email).toLowerCase()}`,
+  ipKey: `otp:fail:ip:${ip}`,
+});
+
 // Signup Controller
 exports.signup = async (req, res) => {
   const { email } = req.body;
@@ -27,37 +71,58 @@ exports.signup = async (req, res) => {
       });
     }
 
-    // Generate new OTP
-    const otp = crypto.randomInt(100000, 999999).toString();
-    const otpExpiration = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const ipSends = await checkLock(`otp:send:ip:${req.ip}`);
+    if (ipSends.locked) {
+      return tooManyRequests(res, "Too many codes requested. Please try again later.", ipSends.retryAfter);
+    }
 
-    if (user) {
-      // Update existing user with new OTP
-      user.otp = otp;
-      user.otpExpiration = otpExpiration;
-      await user.save();
-    } else {
-      // Create new user
-      await new User({
-        email,
-        otp,
-        otpExpiration,
-        isVerified: false,
-        isAdmin: false,
-      }).save();
+    // Claimed up front so concurrent requests can't both send; released below if sending fails
+    const cooldownKey = `otp:send:email:${email.toLowerCase()}`;
+    const cooldown = await consumeCooldown(cooldownKey, OTP_RESEND_COOLDOWN_MS);
+    if (!cooldown.allowed) {
+      return tooManyRequests(res, "Please wait before requesting a new code.", cooldown.retryAfter);
     }
 
-    const templatePath = path.join(__dirname, "../templates/otpTemplate.html");
-    let emailHtml = fs.readFileSync(templatePath, "utf-8");
+    try {
+      // Generate new OTP (only its hash is persisted)
+      const otp = crypto.randomInt(100000, 999999).toString();
+      const otpExpiration = new Date(Date.now() + OTP_TTL_MS);
+
+      if (user) {
+        // Update existing user with new OTP
+        user.otp = hashCode(otp);
+        user.otpExpiration = otpExpiration;
+        await user.save();
+      } else {
+        // Create new user
+        await new User({
+          email,
+          otp: hashCode(otp),
+          otpExpiration,
+          isVerified: false,
+          isAdmin: false,
+        }).save();
+      }
 
-    emailHtml = emailHtml
-      .replace("{{otp}}", otp)
-      .replace("{{year}}", new Date().getFullYear());
+      const templatePath = path.join(__dirname, "../templates/otpTemplate.html");
+      let emailHtml = fs.readFileSync(templatePath, "utf-8");
 
-    await sendEmail(email, "Verify Your Email", emailHtml);
+      emailHtml = emailHtml
+        .replace("{{otp}}", otp)
+        .replace("{{year}}", new Date().getFullYear());
+
+      await sendEmail(email, "Verify Your Email", emailHtml);
+    } catch (err) {
+      // No code went out, so the user may retry straight away
+      await resetRateLimit(cooldownKey);
+      throw err;
+    }
+
+    await hit(`otp:send:ip:${req.ip}`, OTP_IP_SEND_LIMIT);
 
     res.status(201).json({
       message: "OTP sent successfully. Please check your email.",
+      retryAfter: OTP_RESEND_COOLDOWN_MS / 1000,
     });
   } catch (err) {
     console.error(err);
@@ -69,22 +134,59 @@ exports.signup = async (req, res) => {
 exports.validateOtp = async (req, res) => {
   const { email, otp } = req.body;
 
+  if (!email || !otp) {
+    return res.status(400).json({ message: "Email and OTP are required" });
+  }
+
+  const { emailKey, ipKey } = otpFailureKeys(email, req.ip);
+
   try {
+    const locks = await Promise.all([checkLock(emailKey), checkLock(ipKey)]);
+    const locked = locks.find((lock) => lock.locked);
+    if (locked) {
+      return tooManyRequests(res, "Too many failed attempts. Please try again later.", locked.retryAfter);
+    }
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user) {
+      await hit(ipKey, OTP_IP_FAILURE_LIMIT);
+      return res.status(404).json({ message: "User not found" });
+    }
 
     if (!user.otp || !user.otpExpiration || new Date() > user.otpExpiration) {
       return res.status(400).json({ message: "OTP has expired. Please request a new one." });
     }
 
-    if (user.otp !== String(otp)) {
-      return res.status(400).json({ message: "Invalid OTP" });
+    if (!codesMatch(otp, user.otp)) {
+      const [emailResult, ipResult] = await Promise.all([
+        hit(emailKey, OTP_EMAIL_FAILURE_LIMIT),
+        hit(ipKey, OTP_IP_FAILURE_LIMIT),
+      ]);
+
+      if (emailResult.locked || ipResult.locked) {
+        // Burn the code so guessing can't resume once the lockout ends
+        user.otp = null;
+        user.otpExpiration = null;
+        await user.save();
+
+        return tooManyRequests(
+          res,
+          "Too many failed attempts. Please try again later.",
+          Math.max(emailResult.retryAfter, ipResult.retryAfter)
+        );
+      }
+
+      return res.status(400).json({
+        message: "Invalid OTP",
+        attemptsRemaining: emailResult.remaining,
+      });
     }
 
     user.isVerified = true;
     user.otp = null;
     user.otpExpiration = null;
     await user.save();
+    await resetRateLimit(emailKey);
 
     res.json({
       message: "Account verified successfully",
@@ -188,43 +290,34 @@ exports.setPassword = async (req, res) => {
     }
 
     if (user.password) {
-      return res.status(400).json({ message: "Password already set" });
-    }
-
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[0-9!@#$%^&*])(?=.*[a-z]).{8,}$/;
-    if (!passwordRegex.test(password)) {
       return res.status(400).json({
-        message: "Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number or special character"
+        message: "Password already set. Use forgot-password to reset it."
       });
     }
 
+    if (!PASSWORD_REGEX.test(password)) {
+      return res.status(400).json({ message: PASSWORD_REQUIREMENTS_MESSAGE });
+    }
+
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
     user.password = hashedPassword;
     await user.save();
 
-    // Generate and return token for immediate login
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    const payload = {
-      sub: user._id,
-      email: user.email,
-      role: user.isAdmin ? 'admin' : 'user'
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "24h",
-    });
+    // Start a session for immediate login
+    const tokens = await createSession(user, req);
 
-    const userObj = user.toObject();
+    // toJSON leaves out platform credentials
+    const userObj = user.toJSON();
     delete userObj.password;
     delete userObj.otp;
     delete userObj.otpExpiration;
+    delete userObj.passwordReset;
 
     res.status(200).json({
       user: userObj,
-      token,
-      expiresAt
+      ...tokens
     });
   } catch (err) {
     console.error(err);
@@ -322,16 +415,7 @@ exports.login = async (req, res) => {
 
     // For OAuth users who haven't set a password yet
     if (!user.password) {
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-
-      const payload = {
-        sub: user._id,
-        role: user.isAdmin ? "admin" : "user"
-      };
-
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: "24h"
-      });
+      const tokens = await createSession(user, req);
 
       // const userObj = user.toObject();
       // delete userObj.password;
@@ -343,13 +427,13 @@ exports.login = async (req, res) => {
       _id: user._id,
       username: user.username,
       isAdmin: user.isAdmin,
+      role: user.getRole(),
       profilePicture: user.profilePicture || { url: null, public_id: null }
     };
 
       return res.json({
         user: userObj,
-        token,
-        expiresAt,
+        ...tokens,
         needsPassword: true
       });
     }
@@ -360,28 +444,19 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    const payload = {
-      sub: user._id,
-      role: user.isAdmin ? "admin" : "user"
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "24h"
-    });
+    const tokens = await createSession(user, req);
 
-    // 
     const userObj = {
       _id: user._id,
       username: user.username,
       isAdmin: user.isAdmin,
+      role: user.getRole(),
       profilePicture: user.profilePicture || { url: null, public_id: null }
     };
 
     res.json({
       user: userObj,
-      token,
-      expiresAt
+      ...tokens
     });
   } catch (err) {
     console.error(err);
@@ -394,26 +469,20 @@ exports.login = async (req, res) => {
 exports.googleCallback = async (req, res) => {
   try {
     const user = req.user;
-    const payload = {
-      sub: user._id,
-      email: user.email,
-      role: user.isAdmin ? 'admin' : 'user'
-    };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "24h",
-    });
+    const { token, refreshToken } = await createSession(user, req);
+    const tokenParams = `token=${token}&refreshToken=${encodeURIComponent(refreshToken)}`;
 
     const frontendURL = process.env.FRONTEND_URL || "http://localhost:5173";
     
     if (!user.username) {
       // No username: go to step 3 (add username)
-      res.redirect(`${frontendURL}/signup?token=${token}&email=${user.email}&step=3`);
+      res.redirect(`${frontendURL}/signup?${tokenParams}&email=${user.email}&step=3`);
     } else if (!user.password) {
       // Has username but no password: go to step 4 (add password)
-      res.redirect(`${frontendURL}/signup?token=${token}&email=${user.email}&step=4`);
+      res.redirect(`${frontendURL}/signup?${tokenParams}&email=${user.email}&step=4`);
     } else {
       // Fully set up: go to login to trigger dashboard
-      res.redirect(`${frontendURL}/login?token=${token}`);
+      res.redirect(`${frontendURL}/login?${tokenParams}`);
     }
   } catch (error) {
     console.error("Google callback error:", error);
@@ -451,3 +520,221 @@ exports.checkStatus = async (req, res) => {
 };
 
 
+// Forgot Password Controller
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  // Same response whether or not the account exists, to avoid email enumeration
+  const genericResponse = {
+    message: "If an account exists for this email, a reset code has been sent.",
+  };
+
+  try {
+    const user = await User.findOne({ email });
+    if (!user || !user.isVerified) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const lastRequestedAt = user.passwordReset?.requestedAt;
+    if (lastRequestedAt && Date.now() - lastRequestedAt.getTime() < RESET_REQUEST_COOLDOWN_MS) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const otp = crypto.randomInt(100000, 999999).toString();
+
+    user.passwordReset = {
+      codeHash: hashCode(otp),
+      expiresAt: new Date(Date.now() + RESET_CODE_TTL_MS),
+      attempts: 0,
+      requestedAt: new Date(),
+    };
+    await user.save();
+
+    const templatePath = path.join(__dirname, "../templates/forgotPasswordTemplate.html");
+    let emailHtml = fs.readFileSync(templatePath, "utf-8");
+
+    emailHtml = emailHtml
+      .replace("{{name}}", user.fullName || user.username || "there")
+      .replace("{{otp}}", otp)
+      .replace("{{year}}", new Date().getFullYear());
+
+    await sendEmail(email, "Reset Your Password", emailHtml);
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+
+// Reset Password Controller
+exports.resetPassword = async (req, res) => {
+  const { email, otp, password } = req.body;
+
+  if (!email || !otp || !password) {
+    return res.status(400).json({ message: "Email, OTP and new password are required" });
+  }
+
+  const { ipKey } = otpFailureKeys(email, req.ip);
+
+  try {
+    const ipLock = await checkLock(ipKey);
+    if (ipLock.locked) {
+      return tooManyRequests(res, "Too many failed attempts. Please try again later.", ipLock.retryAfter);
+    }
+
+    const user = await User.findOne({ email });
+    const pendingReset = user?.passwordReset;
+
+    if (!user || !pendingReset?.codeHash) {
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
+    if (!pendingReset.expiresAt || new Date() > pendingReset.expiresAt) {
+      user.passwordReset = undefined;
+      await user.save();
+      return res.status(400).json({ message: "Reset code has expired. Please request a new one." });
+    }
+
+    if (pendingReset.attempts >= MAX_RESET_ATTEMPTS) {
+      user.passwordReset = undefined;
+      await user.save();
+      return res.status(429).json({
+        message: "Too many failed attempts. Please request a new reset code."
+      });
+    }
+
+    // Check the new password before consuming an attempt
+    if (!PASSWORD_REGEX.test(password)) {
+      return res.status(400).json({ message: PASSWORD_REQUIREMENTS_MESSAGE });
+    }
+
+    // Claim an attempt atomically so concurrent guesses can't share one
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        "passwordReset.codeHash": pendingReset.codeHash,
+        "passwordReset.attempts": { $lt: MAX_RESET_ATTEMPTS },
+      },
+      { $inc: { "passwordReset.attempts": 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(429).json({
+        message: "Too many failed attempts. Please request a new reset code."
+      });
+    }
+
+    if (!codesMatch(otp, pendingReset.codeHash)) {
+      await hit(ipKey, OTP_IP_FAILURE_LIMIT);
+      return res.status(400).json({
+        message: "Invalid reset code",
+        attemptsRemaining: Math.max(MAX_RESET_ATTEMPTS - claimed.passwordReset.attempts, 0),
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Consume the code in the same update, so it can only be used once
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, "passwordReset.codeHash": pendingReset.codeHash },
+      { $set: { password: hashedPassword }, $unset: { passwordReset: "" } }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
+    // Anyone holding the old password may hold a session too
+    await revokeAllSessions(user._id, "password_reset");
+
+    res.status(200).json({
+      message: "Password reset successfully. Please log in with your new password.",
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+
+// Refresh Token Controller
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return res.status(400).json({ message: "A valid refresh token is required" });
+  }
+
+  try {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    // A rotated-out token being replayed means it leaked: kill the session
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      await session.revoke("reuse_detected");
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke("logout");
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    const tokens = await rotateSession(user, session);
+
+    // The same token was rotated by a concurrent request: treat it as a replay
+    if (!tokens) {
+      await session.revoke("reuse_detected");
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+
+// Logout Controller (current device)
+exports.logout = async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sid);
+    if (session && !session.revokedAt) {
+      await session.revoke("logout");
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+
+// Logout All Controller (every device)
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId, "logout_all");
+
+    res.json({
+      message: "Logged out of all devices",
+      sessionsRevoked: revoked,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
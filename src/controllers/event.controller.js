@@ -1,6 +1,38 @@
 // src/controllers/event.controller.js
+const mongoose = require("mongoose");
 const Event = require("../schema/event.schema");
 const User = require("../schema/user.schema");
+const { hasPermission } = require("../config/roles.config");
+
+// Own events only, unless the caller has cross-tenant access
+const canReadEvent = (req, event) => {
+  return hasPermission(req.user.role, "events:read:all") ||
+    String(event.pinscore_user_id) === String(req.user.userId);
+};
+
+const handleRevisionError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.message
+    });
+  }
+  
+  console.error("Event revision error:", error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
 
 // Ingest Single Event
 exports.ingestEvent = async (req, res) => {
@@ -18,10 +50,19 @@ exports.ingestEvent = async (req, res) => {
       });
     }
     
+    if (!req.apiKey.allows(eventData)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is not permitted to ingest ${eventData.platform} events from source "${eventData.metadata.source}"`
+      });
+    }
+    
+    eventData.metadata.api_key_id = String(req.apiKey._id);
+    
     // Optional: Link to Pinscore user if owner exists
     if (eventData.subject?.owner_platform_id) {
       const user = await User.findOne({
-        [`${eventData.platform}.id`]: eventData.subject.owner_platform_id
+        [User.platformIdField(eventData.platform)]: eventData.subject.owner_platform_id
       });
       
       if (user) {
@@ -29,8 +70,24 @@ exports.ingestEvent = async (req, res) => {
       }
     }
     
-    // Create event using static method
-    const event = await Event.createEvent(eventData);
+    // Idempotency keys are scoped to the API key that sent them
+    const idempotencyKey = req.header("Idempotency-Key")
+      ? `${req.apiKey._id}:${req.header("Idempotency-Key")}`
+      : null;
+    
+    const { event, duplicate } = await Event.ingest(eventData, { idempotencyKey });
+    
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: "Event already ingested",
+        duplicate: true,
+        data: {
+          event_id: event.id,
+          ingested_at: event.ingested_at
+        }
+      });
+    }
     
     res.status(201).json({
       success: true,
@@ -59,50 +116,174 @@ exports.ingestEvent = async (req, res) => {
   }
 };
 
-// Batch Ingest Events
-exports.batchIngestEvents = async (req, res) => {
-  try {
-    const { events } = req.body;
-    
-    if (!Array.isArray(events) || events.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Events array is required and must not be empty"
+/**
+ * Ingest a validated batch of canonical events
+ * Owners are resolved in one query and events written with one unordered
+ * insertMany. Returns { summary, results } with one result per index:
+ * accepted, duplicate, or rejected with field errors.
+ */
+const ingestCanonicalBatch = async (req, events) => {
+  const apiKeyId = String(req.apiKey._id);
+  const results = new Array(events.length);
+  
+  const reject = (index, errors) => {
+    results[index] = { index, status: "rejected", errors };
+  };
+  
+  // A batch-level Idempotency-Key covers each event by its position
+  const batchKey = req.header("Idempotency-Key")
+    ? `${apiKeyId}:${req.header("Idempotency-Key")}`
+    : null;
+  
+  // 1. Field validation and API key scope
+  const candidates = [];
+  
+  events.forEach((eventData, index) => {
+    const errors = req.batchValidation?.[index] || [];
+    
+    if (errors.length === 0 && !req.apiKey.allows(eventData)) {
+      errors.push({
+        field: "platform",
+        message: `API key is not permitted to ingest ${eventData.platform} events from source "${eventData.metadata.source}"`
       });
     }
     
-    const results = {
-      successful: [],
-      failed: []
-    };
+    if (errors.length > 0) return reject(index, errors);
     
-    for (const eventData of events) {
-      try {
-        // Optional: Link to Pinscore user
-        if (eventData.subject?.owner_platform_id) {
-          const user = await User.findOne({
-            [`${eventData.platform}.id`]: eventData.subject.owner_platform_id
-          });
-          
-          if (user) {
-            eventData.pinscore_user_id = user._id;
-          }
-        }
-        
-        const event = await Event.createEvent(eventData);
-        results.successful.push(event.id);
-      } catch (error) {
-        results.failed.push({
-          event: eventData,
-          error: error.message
-        });
-      }
+    candidates.push({
+      index,
+      eventData: {
+        ...eventData,
+        metadata: { ...eventData.metadata, api_key_id: apiKeyId }
+      },
+      idempotencyKey: batchKey ? `${batchKey}:${index}` : null,
+      legacyRawEventId: req.legacyRawEventIds?.[index] || null
+    });
+  });
+  
+  // 2. Owners and already-stored duplicates, one round trip each
+  const [owners, existing] = await Promise.all([
+    User.findOwnersForEvents(candidates.map(candidate => candidate.eventData)),
+    Event.findDuplicatesForBatch(candidates)
+  ]);
+  
+  // 3. Build documents, catching duplicates within the batch itself
+  const { v4: uuidv4 } = require("uuid");
+  const firstSeen = new Map();
+  const repeats = [];
+  const toInsert = [];
+  const ingestedAt = new Date();
+  
+  candidates.forEach((candidate, position) => {
+    const { index, eventData, idempotencyKey } = candidate;
+    
+    if (existing[position]) {
+      results[index] = { index, status: "duplicate", event_id: existing[position].id };
+      return;
     }
     
-    res.status(201).json({
+    const rawEventId = eventData.metadata.raw_event_id;
+    const dedupKey = rawEventId ? `${eventData.platform}:${rawEventId}` : null;
+    
+    if (dedupKey && firstSeen.has(dedupKey)) {
+      repeats.push({ index, of: firstSeen.get(dedupKey) });
+      return;
+    }
+    if (dedupKey) firstSeen.set(dedupKey, index);
+    
+    const ownerId = owners.get(`${eventData.platform}:${eventData.subject.owner_platform_id}`);
+    
+    const doc = new Event({
+      id: `evt_${uuidv4()}`,
+      ...eventData,
+      ...(ownerId && { pinscore_user_id: ownerId }),
+      ...(idempotencyKey && { idempotency_key: idempotencyKey }),
+      ingested_at: ingestedAt
+    });
+    
+    const validationError = doc.validateSync();
+    if (validationError) {
+      return reject(index, Object.values(validationError.errors).map(error => ({
+        field: error.path,
+        message: error.message
+      })));
+    }
+    
+    toInsert.push({ candidate, doc });
+  });
+  
+  // 4. Unordered insert: one bad write doesn't stop the rest
+  let writeErrors = [];
+  
+  if (toInsert.length > 0) {
+    try {
+      await Event.insertMany(toInsert.map(item => item.doc), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      writeErrors = error.writeErrors;
+    }
+  }
+  
+  const failedWrites = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+  
+  await User.applyEventStats(
+    toInsert.filter((item, position) => !failedWrites.has(position)).map(item => item.doc)
+  );
+  
+  for (const [position, { candidate, doc }] of toInsert.entries()) {
+    const { index, eventData, idempotencyKey } = candidate;
+    const writeError = failedWrites.get(position);
+    
+    if (!writeError) {
+      results[index] = { index, status: "accepted", event_id: doc.id };
+      continue;
+    }
+    
+    // Lost a race against a concurrent delivery of the same event
+    const winner = writeError.code === 11000
+      ? await Event.findDuplicate(eventData, idempotencyKey)
+      : null;
+    
+    if (winner) {
+      results[index] = { index, status: "duplicate", event_id: winner.id };
+    } else {
+      reject(index, [{ field: "event", message: writeError.errmsg || "Write failed" }]);
+    }
+  }
+  
+  for (const { index, of } of repeats) {
+    const first = results[of];
+    
+    if (first.status === "rejected") {
+      reject(index, [{ field: "metadata.raw_event_id", message: `Duplicate of rejected event at index ${of}` }]);
+    } else {
+      results[index] = { index, status: "duplicate", event_id: first.event_id };
+    }
+  }
+  
+  const summary = {
+    total: events.length,
+    accepted: results.filter(result => result.status === "accepted").length,
+    duplicate: results.filter(result => result.status === "duplicate").length,
+    rejected: results.filter(result => result.status === "rejected").length
+  };
+  
+  return { summary, results };
+};
+
+// Batch Ingest Events
+// Responds 201 when every event was accepted, otherwise 207 with per-index results
+exports.batchIngestEvents = async (req, res) => {
+  try {
+    const { summary, results } = await ingestCanonicalBatch(req, req.body.events);
+    
+    res.status(summary.accepted === summary.total ? 201 : 207).json({
       success: true,
-      message: `Ingested ${results.successful.length} events`,
-      data: results
+      message: `Accepted ${summary.accepted} of ${summary.total} events (${summary.duplicate} duplicates, ${summary.rejected} rejected)`,
+      data: {
+        summary,
+        results
+      }
     });
     
   } catch (error) {
@@ -115,6 +296,42 @@ exports.batchIngestEvents = async (req, res) => {
   }
 };
 
+// Ingest Native Platform Payloads
+// Payloads were normalized by normalizeRawPayloads; each result carries its
+// canonical event: the stored one when accepted or a duplicate, otherwise the
+// normalized event that was rejected (null when normalization failed)
+exports.ingestRawEvents = async (req, res) => {
+  try {
+    const { events } = req.body;
+    const { summary, results } = await ingestCanonicalBatch(req, events);
+    
+    // Accepted and duplicate payloads resolve to the stored event, as in single ingestion
+    const storedIds = results.map(result => result.event_id).filter(Boolean);
+    const stored = storedIds.length ? await Event.find({ id: { $in: storedIds } }) : [];
+    const storedById = new Map(stored.map(event => [event.id, event]));
+    
+    res.status(summary.accepted === summary.total ? 201 : 207).json({
+      success: true,
+      message: `Accepted ${summary.accepted} of ${summary.total} ${req.params.platform} payloads (${summary.duplicate} duplicates, ${summary.rejected} rejected)`,
+      data: {
+        summary,
+        results: results.map(result => ({
+          ...result,
+          canonical_event: storedById.get(result.event_id) || events[result.index]
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error("Raw ingestion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Raw ingestion failed",
+      error: error.message
+    });
+  }
+};
+
 // Query Events by Platform
 exports.getEventsByPlatform = async (req, res) => {
   try {
@@ -131,12 +348,13 @@ exports.getEventsByPlatform = async (req, res) => {
     
     const skip = (page - 1) * limit;
     
-    const events = await Event.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const events = await Event.findEffective(query, {
+      sort: { timestamp: -1 },
+      skip,
+      limit: parseInt(limit)
+    });
     
-    const total = await Event.countDocuments(query);
+    const total = await Event.countEffective(query);
     
     res.json({
       success: true,
@@ -186,9 +404,10 @@ exports.getEventsByUser = async (req, res) => {
       if (endDate) query.timestamp.$lte = new Date(endDate);
     }
     
-    const events = await Event.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit));
+    const events = await Event.findEffective(query, {
+      sort: { timestamp: -1 },
+      limit: parseInt(limit)
+    });
     
     res.json({
       success: true,
@@ -212,7 +431,7 @@ exports.getEventsSummary = async (req, res) => {
     const { startDate, endDate } = req.query;
     
     const matchStage = {
-      pinscore_user_id: mongoose.Types.ObjectId(userId)
+      pinscore_user_id: new mongoose.Types.ObjectId(userId)
     };
     
     if (startDate || endDate) {
@@ -223,6 +442,7 @@ exports.getEventsSummary = async (req, res) => {
     
     const summary = await Event.aggregate([
       { $match: matchStage },
+      ...Event.effectiveVersionStages(),
       {
         $group: {
           _id: {
@@ -267,19 +487,36 @@ exports.getEventsSummary = async (req, res) => {
 exports.getEventById = async (req, res) => {
   try {
     const { eventId } = req.params;
+    const { exact } = req.query;
     
-    const event = await Event.findOne({ id: eventId });
+    const requested = await Event.findOne({ id: eventId });
     
-    if (!event) {
+    // Without cross-tenant access, callers only see their own events
+    if (!requested || !canReadEvent(req, requested)) {
       return res.status(404).json({
         success: false,
         message: "Event not found"
       });
     }
     
+    // Resolve to the latest version unless the stored version is asked for
+    const event = exact === "true" ? requested : await Event.findLatestVersion(eventId);
+    
+    if (event.revision?.kind === "retraction" && exact !== "true") {
+      return res.status(410).json({
+        success: false,
+        message: "Event has been retracted",
+        data: {
+          retracted_by: event.id,
+          reason: event.revision.reason
+        }
+      });
+    }
+    
     res.json({
       success: true,
-      data: event
+      data: event,
+      ...(event.id !== eventId && { resolved_from: eventId })
     });
     
   } catch (error) {
@@ -290,4 +527,106 @@ exports.getEventById = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Get Event Version History (audit view)
+exports.getEventHistory = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    
+    const history = await Event.findHistory(eventId);
+    
+    if (!history || !history.every(event => canReadEvent(req, event))) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
+    }
+    
+    const latest = history[history.length - 1];
+    
+    res.json({
+      success: true,
+      data: {
+        root_id: history[0].id,
+        effective_id: latest.revision?.kind === "retraction" ? null : latest.id,
+        versions: history
+      }
+    });
+    
+  } catch (error) {
+    console.error("Event history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve event history",
+      error: error.message
+    });
+  }
+};
+
+// Append a correction superseding an event
+exports.correctEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { reason, changes } = req.body;
+    
+    if (!reason || !changes || typeof changes !== "object") {
+      return res.status(400).json({
+        success: false,
+        message: "A reason and a changes object are required"
+      });
+    }
+    
+    const event = await Event.appendRevision(eventId, {
+      kind: "correction",
+      reason,
+      changes
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: "Correction recorded",
+      data: {
+        event_id: event.id,
+        supersedes: event.supersedes,
+        revision: event.revision
+      }
+    });
+    
+  } catch (error) {
+    handleRevisionError(res, error, "Failed to record correction");
+  }
+};
+
+// Append a retraction superseding an event
+exports.retractEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required"
+      });
+    }
+    
+    const event = await Event.appendRevision(eventId, {
+      kind: "retraction",
+      reason
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: "Retraction recorded",
+      data: {
+        event_id: event.id,
+        supersedes: event.supersedes,
+        revision: event.revision
+      }
+    });
+    
+  } catch (error) {
+    handleRevisionError(res, error, "Failed to record retraction");
+  }
+};
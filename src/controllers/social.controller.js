@@ -2,100 +2,202 @@
 const User = require("../schema/user.schema");
 const Event = require("../schema/event.schema");
 const axios = require("axios");
+const { unsubscribeChannel } = require("../utils/youtubeSubscription.utils");
+const { createPkcePair, createOAuthState, consumeOAuthState, connectedAccountsRedirect } = require("../utils/oauth.utils");
+const twitterApi = require("../utils/twitterApi.utils");
+const instagramApi = require("../utils/instagramApi.utils");
+const facebookApi = require("../utils/facebookApi.utils");
+const threadsApi = require("../utils/threadsApi.utils");
+const tiktokApi = require("../utils/tiktokApi.utils");
+const { getAccessToken } = require("../utils/tokenManager.utils");
+const { loggableError } = require("../utils/redact.utils");
+const youtubeAnalytics = require("../utils/youtubeAnalytics.utils");
+const { syncChannelVideos } = require("../utils/youtubeVideoSync.utils");
+const { recordSnapshot, pickCounters } = require("../utils/metricSnapshot.utils");
+const { normalizeFacebookEvent, normalizeThreadsEvent, normalizeTikTokEvent } = require("../middleware/platformNormalizer.middleware");
+
+// Format numbers for display (1.2K, 3.4M)
+const formatNumber = (num) => {
+    const number = parseInt(num) || 0;
+    if (number >= 1000000) {
+        return (number / 1000000).toFixed(1) + "M";
+    }
+    if (number >= 1000) {
+        return (number / 1000).toFixed(1) + "K";
+    }
+    return number.toString();
+};
+
+// Connections whose token can no longer be refreshed must be reconnected by the user
+const sendNeedsReauth = (res, error) => {
+    return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        platform: error.platform
+    });
+};
 
 /**
- * Helper function to create events from YouTube analytics
+ * Snapshot an item's cumulative counters and write one event per counter that
+ * changed since the previous snapshot. `build` receives
+ * { metric, count, sequence, timestamp }; count is negative for decreases.
+ * The events are written before the snapshot is stored (see recordSnapshot).
+ * Returns the number of events written.
  */
-const createYouTubeEvents = async (user, stats, channelId) => {
-    try {
-        const timestamp = new Date().toISOString();
-        const events = [];
-
-        // Create impression events (views)
-        if (stats.viewCount && parseInt(stats.viewCount) > 0) {
-            events.push({
-                type: "impression",
-                platform: "youtube",
-                actor: {
-                    platform_user_id: "aggregate",
-                    username: "youtube_viewers"
-                },
-                subject: {
-                    content_id: channelId,
-                    content_type: "profile",
-                    owner_platform_id: channelId
-                },
-                metrics: {
-                    count: parseInt(stats.viewCount)
-                },
-                metadata: {
-                    source: "api",
-                    raw_event_id: `yt_views_${Date.now()}`
-                },
-                timestamp: timestamp,
-                pinscore_user_id: user._id
-            });
-        }
+const snapshotEvents = async (user, platform, subject, counters, build) => {
+    let written = 0;
 
-        // Create follow events (subscribers)
-        if (stats.subscriberCount && parseInt(stats.subscriberCount) > 0) {
-            events.push({
-                type: "follow",
-                platform: "youtube",
-                actor: {
-                    platform_user_id: "aggregate",
-                    username: "youtube_subscribers"
-                },
-                subject: {
-                    content_id: channelId,
-                    content_type: "profile",
-                    owner_platform_id: channelId
-                },
-                metrics: {
-                    count: parseInt(stats.subscriberCount)
-                },
-                metadata: {
-                    source: "api",
-                    raw_event_id: `yt_subs_${Date.now()}`
-                },
-                timestamp: timestamp,
-                pinscore_user_id: user._id
-            });
+    await recordSnapshot({
+        userId: user._id,
+        platform,
+        subject,
+        counters,
+        emit: async (changes, { sequence, capturedAt }) => {
+            const events = changes.map(({ metric, delta }) => build({
+                metric,
+                count: delta,
+                sequence,
+                timestamp: capturedAt.toISOString()
+            }));
+
+            await Promise.all(events.map(eventData => Event.createEvent(eventData)));
+            written = events.length;
         }
+    });
 
-        // Create comment events
-        if (stats.commentCount && parseInt(stats.commentCount) > 0) {
-            events.push({
-                type: "comment",
-                platform: "youtube",
-                actor: {
-                    platform_user_id: "aggregate",
-                    username: "youtube_commenters"
-                },
-                subject: {
-                    content_id: channelId,
-                    content_type: "profile",
-                    owner_platform_id: channelId
-                },
-                metrics: {
-                    count: parseInt(stats.commentCount)
-                },
-                metadata: {
-                    source: "api",
-                    raw_event_id: `yt_comments_${Date.now()}`
-                },
-                timestamp: timestamp,
-                pinscore_user_id: user._id
-            });
+    return written;
+};
+
+/**
+ * Store a daily figure; when the platform has since revised it (recent days fill
+ * in over the following days), append a correction to the recorded event instead.
+ * Returns "created", "corrected" or "unchanged".
+ */
+const recordDailyEvent = async (eventData, reason) => {
+    const { event, duplicate } = await Event.ingest(eventData);
+    if (!duplicate) return "created";
+
+    const latest = await Event.findLatestVersion(event.id);
+    if (!latest || latest.revision?.kind === "retraction") return "unchanged";
+
+    const changed = ["count", "duration_ms", "value"].some(field => {
+        return (latest.metrics?.[field] ?? null) !== (eventData.metrics[field] ?? null);
+    });
+    if (!changed) return "unchanged";
+
+    try {
+        await Event.appendRevision(latest.id, {
+            kind: "correction",
+            reason,
+            changes: { metrics: eventData.metrics }
+        });
+        return "corrected";
+    } catch (error) {
+        // Revised concurrently by another pull
+        if (error.status !== 409) throw error;
+        return "unchanged";
+    }
+};
+
+// YouTube Analytics daily metric -> canonical event type.
+// Views, likes and comments come per video from youtubeVideoSync.utils, and
+// subscribers from snapshots of the channel's subscriber count.
+const YOUTUBE_DAILY_METRICS = {
+    shares: { type: "share", audience: "sharers" },
+    videosAddedToPlaylists: { type: "save", audience: "playlisters" }
+};
+
+const YOUTUBE_GENDERS = { male: "Male", female: "Female", user_specified: "Other" };
+
+// Recent days fill in over 48-72 hours
+const YOUTUBE_REVISION_REASON = "YouTube Analytics revised the daily figures";
+
+const youtubeChannelEvent = (user, channelId, type, audience, metrics, rawEventId, timestamp) => ({
+    type,
+    platform: "youtube",
+    actor: {
+        platform_user_id: "aggregate",
+        username: `youtube_${audience}`
+    },
+    subject: {
+        content_id: channelId,
+        content_type: "profile",
+        owner_platform_id: channelId
+    },
+    metrics,
+    metadata: {
+        source: "api",
+        raw_event_id: rawEventId
+    },
+    timestamp,
+    pinscore_user_id: user._id
+});
+
+/**
+ * Helper function to create channel-level events: subscriber changes since the
+ * last snapshot (negative for unsubscribes) and, when YouTube Analytics is
+ * available, one event per daily metric per day plus the day's watch time
+ */
+const createYouTubeEvents = async (user, channelId, stats, days) => {
+    try {
+        const outcomes = { created: 0, corrected: 0, unchanged: 0 };
+
+        // subscriberCount is absent when the channel hides it
+        outcomes.created += await snapshotEvents(
+            user,
+            "youtube",
+            { content_id: channelId, content_type: "profile", owner_platform_id: channelId },
+            { subscribers: stats.hiddenSubscriberCount ? undefined : parseInt(stats.subscriberCount) },
+            ({ count, sequence, timestamp }) => youtubeChannelEvent(
+                user, channelId, "follow", "subscribers", { count }, `yt_subscribers_${channelId}_${sequence}`, timestamp
+            )
+        );
+
+        for (const row of days || []) {
+            const timestamp = new Date(`${row.day}T00:00:00.000Z`).toISOString();
+
+            for (const [metric, { type, audience }] of Object.entries(YOUTUBE_DAILY_METRICS)) {
+                const count = row[metric];
+                if (!(count > 0)) continue;
+
+                const outcome = await recordDailyEvent(youtubeChannelEvent(
+                    user,
+                    channelId,
+                    type,
+                    audience,
+                    { count },
+                    `yt_daily_${metric}_${channelId}_${row.day}`,
+                    timestamp
+                ), YOUTUBE_REVISION_REASON);
+                outcomes[outcome]++;
+            }
+
+            // Watch time: the day's views with their average duration and minutes watched.
+            // Views themselves are counted per video, so this is a separate event type.
+            if (row.views > 0) {
+                const outcome = await recordDailyEvent(youtubeChannelEvent(
+                    user,
+                    channelId,
+                    "watch",
+                    "viewers",
+                    {
+                        count: row.views,
+                        duration_ms: Math.round((row.averageViewDuration || 0) * 1000),
+                        value: row.estimatedMinutesWatched || 0
+                    },
+                    `yt_daily_watch_${channelId}_${row.day}`,
+                    timestamp
+                ), YOUTUBE_REVISION_REASON);
+                outcomes[outcome]++;
+            }
         }
 
-        // Batch create events if any exist
-        if (events.length > 0) {
-            await Promise.all(events.map(eventData => Event.createEvent(eventData)));
-            console.log(`✅ Created ${events.length} YouTube events for user ${user._id}`);
+        if (outcomes.created > 0 || outcomes.corrected > 0) {
+            console.log(`✅ YouTube events for user ${user._id}: ${outcomes.created} created, ${outcomes.corrected} corrected`);
         }
 
-        return events.length;
+        return outcomes.created + outcomes.corrected;
     } catch (error) {
         console.error("Error creating YouTube events:", error);
         // Don't fail the request if event creation fails
@@ -103,6 +205,35 @@ const createYouTubeEvents = async (user, stats, channelId) => {
     }
 };
 
+/**
+ * Viewer percentages -> gender split and age groups for the dashboard
+ */
+const youtubeAudience = (demographics) => {
+    const round = (value) => Math.round(value * 10) / 10;
+    const genders = {};
+    const ageGroups = {};
+
+    for (const row of demographics) {
+        genders[row.gender] = (genders[row.gender] || 0) + row.viewerPercentage;
+        ageGroups[row.ageGroup] = (ageGroups[row.ageGroup] || 0) + row.viewerPercentage;
+    }
+
+    return {
+        audience: Object.entries(YOUTUBE_GENDERS).map(([gender, label], id) => ({
+            id,
+            value: round(genders[gender] || 0),
+            label
+        })),
+        ageGroups: Object.entries(ageGroups).map(([ageGroup, value], id) => ({
+            id,
+            value: round(value),
+            label: ageGroup.replace(/^age/, "")
+        }))
+    };
+};
+
+// YouTube Analytics (YouTube Analytics API, daily)
+// ?days= sets the window (default 28, up to 365)
 exports.getYoutubeAnalytics = async (req, res) => {
     try {
         // Fetch full user from DB (token has only basic info)
@@ -121,101 +252,100 @@ exports.getYoutubeAnalytics = async (req, res) => {
             });
         }
 
-        let accessToken = user.youtube.accessToken;
-        let stats;
-        let channelId = user.youtube.channelId;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 28, 1), 365);
+
+        const fetchAll = async (accessToken) => {
+            const [channelResponse, daily, demographics] = await Promise.all([
+                axios.get(
+                    "https://www.googleapis.com/youtube/v3/channels?part=statistics&mine=true",
+                    { headers: { Authorization: `Bearer ${accessToken}` } }
+                ),
+                // Connections made before the analytics scope was requested get a 403
+                youtubeAnalytics.getDailyReport(accessToken, { days }).catch(error => {
+                    if (youtubeAnalytics.isMissingScope(error)) return null;
+                    throw error;
+                }),
+                youtubeAnalytics.getDemographics(accessToken, { days }).catch(error => {
+                    if (youtubeAnalytics.isMissingScope(error)) return null;
+                    throw error;
+                })
+            ]);
+            return { channel: channelResponse.data.items[0], daily, demographics };
+        };
 
+        let report;
         try {
-            const response = await axios.get(
-                `https://www.googleapis.com/youtube/v3/channels?part=statistics&mine=true&access_token=${accessToken}`
-            );
-            stats = response.data.items[0].statistics;
-            
-            // Get channel ID if not stored
-            if (!channelId) {
-                channelId = response.data.items[0].id;
-                user.youtube.channelId = channelId;
-                await user.save();
-            }
+            report = await fetchAll(await getAccessToken(user, "youtube"));
         } catch (error) {
-            if (error.response?.status === 401 && user.youtube.refreshToken) {
-                // Refresh access token
-                const tokenResponse = await axios.post("https://oauth2.googleapis.com/token", {
-                    client_id: process.env.YOUTUBE_CLIENT_ID,
-                    client_secret: process.env.YOUTUBE_CLIENT_SECRET,
-                    refresh_token: user.youtube.refreshToken,
-                    grant_type: "refresh_token",
-                });
-
-                accessToken = tokenResponse.data.access_token;
-                user.youtube.accessToken = accessToken;
-                await user.save();
-
-                // Retry fetch
-                const retryResponse = await axios.get(
-                    `https://www.googleapis.com/youtube/v3/channels?part=statistics&mine=true&access_token=${accessToken}`
-                );
-                stats = retryResponse.data.items[0].statistics;
-                
-                if (!channelId) {
-                    channelId = retryResponse.data.items[0].id;
-                    user.youtube.channelId = channelId;
-                    await user.save();
-                }
+            if (error.response?.status === 401) {
+                // Token revoked or expired early: refresh once and retry
+                report = await fetchAll(await getAccessToken(user, "youtube", { force: true }));
             } else {
                 throw error;
             }
         }
 
-        // Create events from analytics data (non-blocking)
-        createYouTubeEvents(user, stats, channelId).catch(err => {
+        const { channel, daily, demographics } = report;
+        const stats = channel.statistics;
+        let channelId = user.youtube.channelId;
+
+        // Get channel ID if not stored
+        if (!channelId) {
+            channelId = channel.id;
+            user.youtube.channelId = channelId;
+            await user.save();
+        }
+
+        const analyticsAvailable = daily !== null;
+
+        // Create events from analytics data and per-video counters (non-blocking)
+        createYouTubeEvents(user, channelId, stats, daily).catch(err => {
             console.error("Background event creation failed:", err);
         });
+        syncChannelVideos(user).catch(err => {
+            console.error("Background YouTube video sync failed:", loggableError(err));
+        });
 
-        // Format numbers for display
-        const formatNumber = (num) => {
-            const number = parseInt(num) || 0;
-            if (number >= 1000000) {
-                return (number / 1000000).toFixed(1) + "M";
-            }
-            if (number >= 1000) {
-                return (number / 1000).toFixed(1) + "K";
-            }
-            return number.toString();
-        };
-
-        const metrics = {
-            Impressions: formatNumber(stats.viewCount),
-            Likes: "N/A",
-            Comments: formatNumber(stats.commentCount),
-            NewFollowers: formatNumber(stats.subscriberCount),
-            Shares: "N/A",
-            Saves: formatNumber(stats.videoCount),
-        };
+        const sum = (metric) => (daily || []).reduce((total, row) => total + (row[metric] || 0), 0);
+        const views = sum("views");
+        const watchTimeMinutes = sum("estimatedMinutesWatched");
+        const viewSeconds = (daily || []).reduce((total, row) => total + (row.averageViewDuration || 0) * (row.views || 0), 0);
 
         const metricsRaw = {
-            Impressions: parseInt(stats.viewCount) || 0,
-            Likes: 0,
-            Comments: parseInt(stats.commentCount) || 0,
-            NewFollowers: parseInt(stats.subscriberCount) || 0,
-            Shares: 0,
-            Saves: parseInt(stats.videoCount) || 0,
+            Impressions: views,
+            Likes: sum("likes"),
+            Comments: sum("comments"),
+            NewFollowers: sum("subscribersGained"),
+            Shares: sum("shares"),
+            Saves: sum("videosAddedToPlaylists"),
+            WatchTimeMinutes: watchTimeMinutes,
+            // View-weighted across the window, in seconds
+            AverageViewDuration: views > 0 ? Math.round(viewSeconds / views) : 0,
+            Subscribers: parseInt(stats.subscriberCount) || 0
         };
 
-        const audience = [
-            { id: 0, value: 45, label: "Male" },
-            { id: 1, value: 35, label: "Female" },
-            { id: 2, value: 20, label: "Other" },
-        ];
+        const metrics = Object.fromEntries(
+            Object.entries(metricsRaw).map(([name, value]) => [name, analyticsAvailable ? formatNumber(value) : "N/A"])
+        );
+        metrics.Subscribers = formatNumber(metricsRaw.Subscribers);
 
         res.json({ 
             success: true,
             metrics, 
             metricsRaw, 
-            audience 
+            ...youtubeAudience(demographics || []),
+            daily: daily || [],
+            range: { days },
+            analyticsAvailable,
+            ...(!analyticsAvailable && {
+                message: "Reconnect YouTube to grant YouTube Analytics access"
+            })
         });
     } catch (error) {
-        console.error("Error fetching YouTube analytics:", error);
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching YouTube analytics:", loggableError(error));
         res.status(500).json({ 
             success: false,
             message: "Failed to fetch YouTube analytics",
@@ -234,8 +364,19 @@ exports.disconnectYoutube = async (req, res) => {
             });
         }
         
+        const channelId = user.youtube?.channelId;
+
         user.youtube = null;
         await user.save();
+
+        // Stop push notifications unless another account still connects the channel
+        if (channelId && !(await User.exists({ "youtube.channelId": channelId }))) {
+            try {
+                await unsubscribeChannel(channelId);
+            } catch (error) {
+                console.error("YouTube unsubscribe error:", error.message);
+            }
+        }
         
         res.json({ 
             success: true,
@@ -251,7 +392,223 @@ exports.disconnectYoutube = async (req, res) => {
     }
 };
 
-// Instagram Analytics (Template for integration)
+// Instagram media_product_type -> canonical content type (FEED depends on media_type)
+const INSTAGRAM_CONTENT_TYPES = { REELS: "reel", STORY: "story" };
+
+// Media insight -> canonical event type (reel plays and story views count as impressions)
+const INSTAGRAM_MEDIA_METRICS = {
+    views: { type: "impression", audience: "viewers" },
+    likes: { type: "engagement", audience: "likers" },
+    comments: { type: "comment", audience: "commenters" },
+    replies: { type: "comment", audience: "repliers" },
+    saved: { type: "save", audience: "savers" },
+    shares: { type: "share", audience: "sharers" }
+};
+
+const instagramContentType = (media) => {
+    return INSTAGRAM_CONTENT_TYPES[media.media_product_type]
+        || (media.media_type === "VIDEO" ? "video" : "post");
+};
+
+/**
+ * Helper function to create events from Instagram insights
+ * (account insights per day reported; followers and lifetime media insights
+ * as the change since their last snapshot)
+ */
+const createInstagramEvents = async (user, profile, accountInsights, media) => {
+    try {
+        const timestamp = new Date().toISOString();
+        const instagramId = user.instagram.id;
+        const accountEvents = [];
+        let snapshotted = 0;
+
+        const instagramEvent = (contentId, contentType, type, audience, count, rawEventId, at = timestamp) => ({
+            type,
+            platform: "instagram",
+            actor: {
+                platform_user_id: "aggregate",
+                username: `instagram_${audience}`
+            },
+            subject: {
+                content_id: contentId,
+                content_type: contentType,
+                owner_platform_id: instagramId
+            },
+            metrics: {
+                count
+            },
+            metadata: {
+                source: "api",
+                raw_event_id: rawEventId
+            },
+            timestamp: at,
+            pinscore_user_id: user._id
+        });
+
+        // Account level, keyed by each value's end_time: impressions and profile visits.
+        // Reach (unique viewers) overlaps impressions, so it stands in only when
+        // impressions aren't reported, never on top of them; media reach is skipped
+        // for the same reason in favour of views.
+        const accountDays = {};
+        for (const insight of accountInsights) {
+            for (const { value, end_time: endTime } of insight.values || []) {
+                if (!endTime) continue;
+                const at = new Date(endTime).toISOString();
+                accountDays[at] = { ...accountDays[at], [insight.name]: value || 0 };
+            }
+        }
+
+        for (const [at, account] of Object.entries(accountDays)) {
+            const day = at.slice(0, 10);
+            const accountImpressions = account.impressions ?? account.reach;
+
+            if (accountImpressions > 0) {
+                const key = account.impressions !== undefined ? "impressions" : "reach";
+                accountEvents.push(instagramEvent(instagramId, "profile", "impression", "viewers", accountImpressions, `ig_${key}_${instagramId}_${day}`, at));
+            }
+            if (account.profile_views > 0) {
+                accountEvents.push(instagramEvent(instagramId, "profile", "click", "profile_visitors", account.profile_views, `ig_profile_views_${instagramId}_${day}`, at));
+            }
+        }
+
+        // Followers (negative for unfollows)
+        snapshotted += await snapshotEvents(
+            user,
+            "instagram",
+            { content_id: instagramId, content_type: "profile", owner_platform_id: instagramId },
+            pickCounters(profile, ["followers_count"]),
+            ({ count, sequence, timestamp: at }) => instagramEvent(
+                instagramId, "profile", "follow", "followers", count, `ig_followers_${instagramId}_${sequence}`, at
+            )
+        );
+
+        // Media level
+        for (const item of media) {
+            const contentType = instagramContentType(item);
+
+            snapshotted += await snapshotEvents(
+                user,
+                "instagram",
+                { content_id: item.id, content_type: contentType, owner_platform_id: instagramId },
+                pickCounters(item.insights, Object.keys(INSTAGRAM_MEDIA_METRICS)),
+                ({ metric, count, sequence, timestamp: at }) => {
+                    const { type, audience } = INSTAGRAM_MEDIA_METRICS[metric];
+                    return instagramEvent(item.id, contentType, type, audience, count, `ig_${metric}_${item.id}_${sequence}`, at);
+                }
+            );
+        }
+
+        // Recent days are revised as Instagram fills them in: later readings become corrections.
+        // Snapshotted counters were written with their snapshots.
+        const outcomes = await Promise.all(accountEvents.map(eventData => {
+            return recordDailyEvent(eventData, "Instagram revised the daily account insights");
+        }));
+
+        const recorded = accountEvents.length + snapshotted;
+        if (recorded > 0) {
+            const corrected = outcomes.filter(outcome => outcome === "corrected").length;
+            console.log(`✅ Recorded ${recorded} Instagram events (${corrected} corrected) for user ${user._id}`);
+        }
+
+        return recorded;
+    } catch (error) {
+        console.error("Error creating Instagram events:", error);
+        // Don't fail the request if event creation fails
+        return 0;
+    }
+};
+
+// Instagram (Instagram API with Instagram Login)
+// Returns the authorize URL for the frontend to redirect to
+exports.startInstagramAuth = async (req, res) => {
+    try {
+        if (!process.env.INSTAGRAM_APP_ID || !process.env.INSTAGRAM_REDIRECT_URI) {
+            return res.status(503).json({
+                success: false,
+                message: "Instagram integration is not configured"
+            });
+        }
+
+        const state = await createOAuthState(req.user.userId, "instagram");
+
+        res.json({
+            success: true,
+            data: {
+                url: instagramApi.buildAuthorizeUrl(state)
+            }
+        });
+    } catch (error) {
+        console.error("Error starting Instagram auth:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start Instagram authorization",
+            error: error.message
+        });
+    }
+};
+
+exports.instagramCallback = async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        const pending = await consumeOAuthState(state, "instagram");
+        if (!pending || error || !code) {
+            return res.redirect(connectedAccountsRedirect("instagram", "error"));
+        }
+
+        const user = await User.findById(pending.user);
+        if (!user) {
+            return res.redirect(connectedAccountsRedirect("instagram", "error"));
+        }
+
+        const tokens = await instagramApi.exchangeCode(code);
+        const profile = await instagramApi.getProfile(tokens.accessToken);
+
+        user.instagram = {
+            // user_id is the professional account id webhooks are keyed by
+            id: profile.user_id || profile.id,
+            username: profile.username,
+            accountType: profile.account_type,
+            ...tokens,
+            connectedAt: new Date()
+        };
+        await user.save();
+
+        res.redirect(connectedAccountsRedirect("instagram"));
+    } catch (error) {
+        console.error("Instagram OAuth error:", loggableError(error));
+        res.redirect(connectedAccountsRedirect("instagram", "error"));
+    }
+};
+
+exports.disconnectInstagram = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false,
+                message: "User not found" 
+            });
+        }
+
+        user.instagram = null;
+        await user.save();
+
+        res.json({ 
+            success: true,
+            message: "Instagram disconnected successfully" 
+        });
+    } catch (error) {
+        console.error("Error disconnecting Instagram:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to disconnect Instagram",
+            error: error.message 
+        });
+    }
+};
+
+// Instagram Analytics (account and per-media insights)
 exports.getInstagramAnalytics = async (req, res) => {
     try {
         const user = await User.findById(req.user.userId);
@@ -262,93 +619,987 @@ exports.getInstagramAnalytics = async (req, res) => {
             });
         }
 
-        // Fetch Instagram insights
-        const response = await axios.get(
-            `https://graph.instagram.com/me/insights`,
-            {
-                params: {
-                    metric: 'impressions,reach,profile_views',
-                    period: 'day',
-                    access_token: user.instagram.accessToken
-                }
-            }
-        );
+        const accessToken = await getAccessToken(user, "instagram");
 
-        const insights = response.data.data;
+        const [profile, insights, media] = await Promise.all([
+            instagramApi.getProfile(accessToken),
+            instagramApi.getAccountInsights(accessToken),
+            instagramApi.getMediaInsights(accessToken)
+        ]);
 
-        // Create events for each metric
-        const timestamp = new Date().toISOString();
-        const events = [];
+        // Create events from analytics data (non-blocking)
+        createInstagramEvents(user, profile, insights, media).catch(err => {
+            console.error("Background event creation failed:", err);
+        });
+
+        res.json({
+            success: true,
+            data: insights,
+            profile: {
+                username: profile.username,
+                followers: profile.followers_count || 0,
+                mediaCount: profile.media_count || 0
+            },
+            media: media.map(item => ({
+                id: item.id,
+                caption: item.caption || null,
+                contentType: instagramContentType(item),
+                permalink: item.permalink,
+                timestamp: item.timestamp,
+                insights: item.insights
+            }))
+        });
+    } catch (error) {
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching Instagram analytics:", loggableError(error));
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to fetch Instagram analytics",
+            error: error.message 
+        });
+    }
+};
 
-        for (const insight of insights) {
-            if (insight.name === 'impressions') {
-                events.push({
-                    type: "impression",
-                    platform: "instagram",
+// Tweet counter -> canonical event type
+const TWITTER_TWEET_METRICS = {
+    impressions: { type: "impression", audience: "viewers" },
+    likes: { type: "engagement", audience: "likers" },
+    replies: { type: "comment", audience: "repliers" },
+    shares: { type: "share", audience: "sharers" },
+    bookmarks: { type: "save", audience: "bookmarkers" },
+    clicks: { type: "click", audience: "clickers" }
+};
+
+/**
+ * Lifetime counters of a tweet. Organic metrics are only returned for tweets
+ * under 30 days old, so clicks are left out once they disappear rather than
+ * read as a drop to zero.
+ */
+const tweetCounters = (tweet) => {
+    const publicMetrics = tweet.public_metrics || {};
+    const organicMetrics = tweet.organic_metrics;
+
+    return {
+        impressions: publicMetrics.impression_count,
+        likes: publicMetrics.like_count,
+        replies: publicMetrics.reply_count,
+        shares: (publicMetrics.retweet_count || 0) + (publicMetrics.quote_count || 0),
+        bookmarks: publicMetrics.bookmark_count,
+        clicks: organicMetrics
+            ? (organicMetrics.url_link_clicks || 0) + (organicMetrics.user_profile_clicks || 0)
+            : undefined
+    };
+};
+
+/**
+ * Helper function to create events from recent tweet metrics
+ * (the change in each tweet's counters since its last snapshot)
+ */
+const createTwitterEvents = async (user, tweets) => {
+    try {
+        const twitterId = user.twitter.id;
+        let created = 0;
+
+        for (const tweet of tweets) {
+            created += await snapshotEvents(
+                user,
+                "twitter",
+                { content_id: tweet.id, content_type: "post", owner_platform_id: twitterId },
+                tweetCounters(tweet),
+                ({ metric, count, sequence, timestamp }) => ({
+                    type: TWITTER_TWEET_METRICS[metric].type,
+                    platform: "twitter",
                     actor: {
                         platform_user_id: "aggregate",
-                        username: "instagram_viewers"
+                        username: `twitter_${TWITTER_TWEET_METRICS[metric].audience}`
                     },
                     subject: {
-                        content_id: user.instagram.id,
-                        content_type: "profile",
-                        owner_platform_id: user.instagram.id
+                        content_id: tweet.id,
+                        content_type: "post",
+                        owner_platform_id: twitterId
                     },
                     metrics: {
-                        count: insight.values[0].value
+                        count
                     },
                     metadata: {
                         source: "api",
-                        raw_event_id: `ig_impressions_${Date.now()}`
+                        raw_event_id: `tw_${metric}_${tweet.id}_${sequence}`
                     },
-                    timestamp: timestamp,
+                    timestamp,
                     pinscore_user_id: user._id
-                });
-            }
+                })
+            );
         }
 
-        // Batch create events
-        if (events.length > 0) {
-            await Promise.all(events.map(eventData => Event.createEvent(eventData)));
+        if (created > 0) {
+            console.log(`✅ Created ${created} Twitter events for user ${user._id}`);
+        }
+
+        return created;
+    } catch (error) {
+        console.error("Error creating Twitter events:", error);
+        // Don't fail the request if event creation fails
+        return 0;
+    }
+};
+
+// Twitter/X OAuth 2.0 (Authorization Code + PKCE)
+// Returns the authorize URL for the frontend to redirect to
+exports.startTwitterAuth = async (req, res) => {
+    try {
+        if (!process.env.TWITTER_CLIENT_ID || !process.env.TWITTER_REDIRECT_URI) {
+            return res.status(503).json({
+                success: false,
+                message: "Twitter integration is not configured"
+            });
         }
 
+        const { codeVerifier, codeChallenge } = createPkcePair();
+        const state = await createOAuthState(req.user.userId, "twitter", { codeVerifier });
+
         res.json({
             success: true,
-            data: insights
+            data: {
+                url: twitterApi.buildAuthorizeUrl(state, codeChallenge)
+            }
         });
     } catch (error) {
-        console.error("Error fetching Instagram analytics:", error);
-        res.status(500).json({ 
+        console.error("Error starting Twitter auth:", error);
+        res.status(500).json({
             success: false,
-            message: "Failed to fetch Instagram analytics",
-            error: error.message 
+            message: "Failed to start Twitter authorization",
+            error: error.message
         });
     }
 };
 
-// Twitter/X Analytics (Template for integration)
-exports.getTwitterAnalytics = async (req, res) => {
+exports.twitterCallback = async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        const pending = await consumeOAuthState(state, "twitter");
+        if (!pending || error || !code) {
+            return res.redirect(connectedAccountsRedirect("twitter", "error"));
+        }
+
+        const user = await User.findById(pending.user);
+        if (!user) {
+            return res.redirect(connectedAccountsRedirect("twitter", "error"));
+        }
+
+        const tokens = await twitterApi.exchangeCode(code, pending.codeVerifier);
+        const account = await twitterApi.getMe(tokens.accessToken);
+
+        user.twitter = {
+            id: account.id,
+            username: account.username,
+            ...tokens,
+            connectedAt: new Date()
+        };
+        await user.save();
+
+        res.redirect(connectedAccountsRedirect("twitter"));
+    } catch (error) {
+        console.error("Twitter OAuth error:", loggableError(error));
+        res.redirect(connectedAccountsRedirect("twitter", "error"));
+    }
+};
+
+exports.disconnectTwitter = async (req, res) => {
     try {
         const user = await User.findById(req.user.userId);
-        if (!user || !user.twitter || !user.twitter.accessToken) {
-            return res.status(400).json({ 
+        if (!user) {
+            return res.status(404).json({ 
                 success: false,
-                message: "Twitter not connected" 
+                message: "User not found" 
             });
         }
 
-        // TODO: Implement Twitter API v2 integration
-        // For now, return placeholder
-        res.json({
+        const accessToken = user.twitter?.accessToken;
+
+        user.twitter = null;
+        await user.save();
+
+        if (accessToken) {
+            twitterApi.revokeToken(accessToken).catch(error => {
+                console.error("Twitter token revocation error:", error.message);
+            });
+        }
+
+        res.json({ 
             success: true,
-            message: "Twitter analytics coming soon",
-            data: {}
+            message: "Twitter disconnected successfully" 
         });
     } catch (error) {
-        console.error("Error fetching Twitter analytics:", error);
+        console.error("Error disconnecting Twitter:", error);
         res.status(500).json({ 
             success: false,
-            message: "Failed to fetch Twitter analytics",
+            message: "Failed to disconnect Twitter",
+            error: error.message 
+        });
+    }
+};
+
+// Twitter/X Analytics (API v2)
+exports.getTwitterAnalytics = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.twitter || !user.twitter.accessToken) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Twitter not connected" 
+            });
+        }
+
+        let accessToken = await getAccessToken(user, "twitter");
+        let account;
+        let tweets;
+
+        try {
+            account = await twitterApi.getMe(accessToken);
+            tweets = await twitterApi.getRecentTweets(accessToken, user.twitter.id);
+        } catch (error) {
+            if (error.response?.status === 401) {
+                // Token revoked or expired early: refresh once and retry
+                accessToken = await getAccessToken(user, "twitter", { force: true });
+                account = await twitterApi.getMe(accessToken);
+                tweets = await twitterApi.getRecentTweets(accessToken, user.twitter.id);
+            } else {
+                throw error;
+            }
+        }
+
+        // Create events from analytics data (non-blocking)
+        createTwitterEvents(user, tweets).catch(err => {
+            console.error("Background event creation failed:", err);
+        });
+
+        // Organic metrics where Twitter provides them, public ones otherwise
+        const sum = (metric) => tweets.reduce((total, tweet) => {
+            return total + (tweet.organic_metrics?.[metric] ?? tweet.public_metrics?.[metric] ?? 0);
+        }, 0);
+
+        const metricsRaw = {
+            Impressions: sum("impression_count"),
+            Likes: sum("like_count"),
+            Comments: sum("reply_count"),
+            // Current total, not a gain over the window
+            Followers: account.public_metrics?.followers_count || 0,
+            Shares: sum("retweet_count") + sum("quote_count"),
+            Saves: sum("bookmark_count")
+        };
+
+        const metrics = Object.fromEntries(
+            Object.entries(metricsRaw).map(([name, value]) => [name, formatNumber(value)])
+        );
+
+        res.json({
+            success: true,
+            metrics,
+            metricsRaw,
+            tweets: tweets.map(tweet => ({
+                id: tweet.id,
+                text: tweet.text,
+                createdAt: tweet.created_at,
+                publicMetrics: tweet.public_metrics,
+                organicMetrics: tweet.organic_metrics || null
+            }))
+        });
+    } catch (error) {
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching Twitter analytics:", loggableError(error));
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to fetch Twitter analytics",
+            error: error.message 
+        });
+    }
+};
+
+// Page / post insight -> normalizeFacebookEvent engagement_type
+const FACEBOOK_PAGE_METRICS = {
+    page_impressions: { engagement_type: "impression", audience: "viewers" },
+    page_fan_adds: { engagement_type: "follow", audience: "followers" },
+    page_views_total: { engagement_type: "click", audience: "page_visitors" }
+};
+
+const FACEBOOK_POST_METRICS = {
+    post_impressions: { engagement_type: "impression", audience: "viewers" },
+    reactions: { engagement_type: "like", audience: "reactors" },
+    comments: { engagement_type: "comment", audience: "commenters" },
+    shares: { engagement_type: "share", audience: "sharers" },
+    post_clicks: { engagement_type: "click", audience: "clickers" }
+};
+
+const facebookContentType = (post) => {
+    return /video/.test(post.status_type || "") ? "video" : "post";
+};
+
+/**
+ * Helper function to create events from Facebook Page and post insights
+ * (Page insights per day reported; lifetime post insights as the change since
+ * their last snapshot), normalized through normalizeFacebookEvent
+ */
+const createFacebookEvents = async (user, pageInsights, posts) => {
+    try {
+        const timestamp = new Date().toISOString();
+        const pageId = user.facebook.id;
+        const pageEvents = [];
+        let snapshotted = 0;
+
+        const facebookEvent = (post, { engagement_type, audience }, count, rawEventId, at = timestamp) => ({
+            ...normalizeFacebookEvent({
+                engagement_type,
+                post: { ...post, from: { id: pageId } },
+                user: { id: "aggregate", username: `facebook_${audience}` },
+                count,
+                timestamp: at,
+                source: "api",
+                raw_event_id: rawEventId
+            }),
+            pinscore_user_id: user._id
+        });
+
+        // Page level, keyed by each value's end_time
+        for (const insight of pageInsights) {
+            const mapping = FACEBOOK_PAGE_METRICS[insight.name];
+            if (!mapping) continue;
+
+            for (const { value, end_time: endTime } of insight.values || []) {
+                if (endTime && value > 0) {
+                    const at = new Date(endTime).toISOString();
+                    pageEvents.push(facebookEvent(
+                        { id: pageId, content_type: "profile" },
+                        mapping,
+                        value,
+                        `fb_${insight.name}_${pageId}_${at.slice(0, 10)}`,
+                        at
+                    ));
+                }
+            }
+        }
+
+        for (const post of posts) {
+            const contentType = facebookContentType(post);
+
+            snapshotted += await snapshotEvents(
+                user,
+                "facebook",
+                { content_id: post.id, content_type: contentType, owner_platform_id: pageId },
+                pickCounters(post.insights, Object.keys(FACEBOOK_POST_METRICS)),
+                ({ metric, count, sequence, timestamp: at }) => facebookEvent(
+                    { id: post.id, content_type: contentType },
+                    FACEBOOK_POST_METRICS[metric],
+                    count,
+                    `fb_${metric}_${post.id}_${sequence}`,
+                    at
+                )
+            );
+        }
+
+        // Recent days are revised as Facebook fills them in: later readings become corrections.
+        // Snapshotted counters were written with their snapshots.
+        const outcomes = await Promise.all(pageEvents.map(eventData => {
+            return recordDailyEvent(eventData, "Facebook revised the daily Page insights");
+        }));
+
+        const recorded = pageEvents.length + snapshotted;
+        if (recorded > 0) {
+            const corrected = outcomes.filter(outcome => outcome === "corrected").length;
+            console.log(`✅ Recorded ${recorded} Facebook events (${corrected} corrected) for user ${user._id}`);
+        }
+
+        return recorded;
+    } catch (error) {
+        console.error("Error creating Facebook events:", error);
+        // Don't fail the request if event creation fails
+        return 0;
+    }
+};
+
+// Facebook Pages (Facebook Login for Business)
+// Returns the authorize URL for the frontend to redirect to
+exports.startFacebookAuth = async (req, res) => {
+    try {
+        if (!process.env.FACEBOOK_APP_ID || !process.env.FACEBOOK_REDIRECT_URI) {
+            return res.status(503).json({
+                success: false,
+                message: "Facebook integration is not configured"
+            });
+        }
+
+        const state = await createOAuthState(req.user.userId, "facebook");
+
+        res.json({
+            success: true,
+            data: {
+                url: facebookApi.buildAuthorizeUrl(state)
+            }
+        });
+    } catch (error) {
+        console.error("Error starting Facebook auth:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start Facebook authorization",
+            error: error.message
+        });
+    }
+};
+
+exports.facebookCallback = async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        const pending = await consumeOAuthState(state, "facebook");
+        if (!pending || error || !code) {
+            return res.redirect(connectedAccountsRedirect("facebook", "error"));
+        }
+
+        const user = await User.findById(pending.user);
+        if (!user) {
+            return res.redirect(connectedAccountsRedirect("facebook", "error"));
+        }
+
+        const userAccessToken = await facebookApi.exchangeCode(code);
+
+        // The first Page granted in the dialog is the one we track
+        const [page] = await facebookApi.getPages(userAccessToken);
+        if (!page) {
+            return res.redirect(connectedAccountsRedirect("facebook", "error"));
+        }
+
+        user.facebook = {
+            id: page.id,
+            username: page.username || page.name,
+            pageName: page.name,
+            accessToken: page.access_token,
+            connectedAt: new Date()
+        };
+        await user.save();
+
+        res.redirect(connectedAccountsRedirect("facebook"));
+    } catch (error) {
+        console.error("Facebook OAuth error:", loggableError(error));
+        res.redirect(connectedAccountsRedirect("facebook", "error"));
+    }
+};
+
+exports.disconnectFacebook = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false,
+                message: "User not found" 
+            });
+        }
+
+        user.facebook = null;
+        await user.save();
+
+        res.json({ 
+            success: true,
+            message: "Facebook disconnected successfully" 
+        });
+    } catch (error) {
+        console.error("Error disconnecting Facebook:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to disconnect Facebook",
+            error: error.message 
+        });
+    }
+};
+
+// Facebook Analytics (Page and per-post insights)
+exports.getFacebookAnalytics = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.facebook || !user.facebook.accessToken) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Facebook not connected" 
+            });
+        }
+
+        const pageId = user.facebook.id;
+        const accessToken = await getAccessToken(user, "facebook");
+
+        const [page, insights, posts] = await Promise.all([
+            facebookApi.getPage(pageId, accessToken),
+            facebookApi.getPageInsights(pageId, accessToken),
+            facebookApi.getPostInsights(pageId, accessToken)
+        ]);
+
+        // Create events from analytics data (non-blocking)
+        createFacebookEvents(user, insights, posts).catch(err => {
+            console.error("Background event creation failed:", err);
+        });
+
+        res.json({
+            success: true,
+            data: insights,
+            page: {
+                id: page.id,
+                name: page.name,
+                followers: page.followers_count || page.fan_count || 0
+            },
+            posts: posts.map(post => ({
+                id: post.id,
+                message: post.message || null,
+                contentType: facebookContentType(post),
+                permalink: post.permalink_url,
+                createdTime: post.created_time,
+                insights: post.insights
+            }))
+        });
+    } catch (error) {
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching Facebook analytics:", loggableError(error));
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to fetch Facebook analytics",
+            error: error.message 
+        });
+    }
+};
+
+// Threads media insight -> normalizeThreadsEvent engagement_type
+const THREADS_MEDIA_METRICS = {
+    views: { engagement_type: "impression", audience: "viewers" },
+    likes: { engagement_type: "like", audience: "likers" },
+    replies: { engagement_type: "reply", audience: "repliers" },
+    reposts: { engagement_type: "repost", audience: "reposters" },
+    quotes: { engagement_type: "quote", audience: "quoters" }
+};
+
+const threadsContentType = (media) => {
+    return media.media_type === "VIDEO" ? "video" : "post";
+};
+
+/**
+ * Helper function to create events from Threads media insights
+ * (the change since each thread's last snapshot, normalized through normalizeThreadsEvent)
+ */
+const createThreadsEvents = async (user, media) => {
+    try {
+        const threadsId = user.threads.id;
+        let created = 0;
+
+        for (const item of media) {
+            const contentType = threadsContentType(item);
+
+            created += await snapshotEvents(
+                user,
+                "threads",
+                { content_id: item.id, content_type: contentType, owner_platform_id: threadsId },
+                pickCounters(item.insights, Object.keys(THREADS_MEDIA_METRICS)),
+                ({ metric, count, sequence, timestamp }) => {
+                    const { engagement_type, audience } = THREADS_MEDIA_METRICS[metric];
+
+                    return {
+                        ...normalizeThreadsEvent({
+                            engagement_type,
+                            post: { id: item.id, author_id: threadsId, content_type: contentType },
+                            user: { id: "aggregate", username: `threads_${audience}` },
+                            count,
+                            timestamp,
+                            source: "api",
+                            raw_event_id: `th_${metric}_${item.id}_${sequence}`
+                        }),
+                        pinscore_user_id: user._id
+                    };
+                }
+            );
+        }
+
+        if (created > 0) {
+            console.log(`✅ Created ${created} Threads events for user ${user._id}`);
+        }
+
+        return created;
+    } catch (error) {
+        console.error("Error creating Threads events:", error);
+        // Don't fail the request if event creation fails
+        return 0;
+    }
+};
+
+// Threads (Threads API)
+// Returns the authorize URL for the frontend to redirect to
+exports.startThreadsAuth = async (req, res) => {
+    try {
+        if (!process.env.THREADS_APP_ID || !process.env.THREADS_REDIRECT_URI) {
+            return res.status(503).json({
+                success: false,
+                message: "Threads integration is not configured"
+            });
+        }
+
+        const state = await createOAuthState(req.user.userId, "threads");
+
+        res.json({
+            success: true,
+            data: {
+                url: threadsApi.buildAuthorizeUrl(state)
+            }
+        });
+    } catch (error) {
+        console.error("Error starting Threads auth:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start Threads authorization",
+            error: error.message
+        });
+    }
+};
+
+exports.threadsCallback = async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        const pending = await consumeOAuthState(state, "threads");
+        if (!pending || error || !code) {
+            return res.redirect(connectedAccountsRedirect("threads", "error"));
+        }
+
+        const user = await User.findById(pending.user);
+        if (!user) {
+            return res.redirect(connectedAccountsRedirect("threads", "error"));
+        }
+
+        const tokens = await threadsApi.exchangeCode(code);
+        const profile = await threadsApi.getProfile(tokens.accessToken);
+
+        user.threads = {
+            id: profile.id,
+            username: profile.username,
+            ...tokens,
+            connectedAt: new Date()
+        };
+        await user.save();
+
+        res.redirect(connectedAccountsRedirect("threads"));
+    } catch (error) {
+        console.error("Threads OAuth error:", loggableError(error));
+        res.redirect(connectedAccountsRedirect("threads", "error"));
+    }
+};
+
+exports.disconnectThreads = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false,
+                message: "User not found" 
+            });
+        }
+
+        user.threads = null;
+        await user.save();
+
+        res.json({ 
+            success: true,
+            message: "Threads disconnected successfully" 
+        });
+    } catch (error) {
+        console.error("Error disconnecting Threads:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to disconnect Threads",
+            error: error.message 
+        });
+    }
+};
+
+// Threads Analytics (per-thread insights)
+exports.getThreadsAnalytics = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.threads || !user.threads.accessToken) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Threads not connected" 
+            });
+        }
+
+        const accessToken = await getAccessToken(user, "threads");
+
+        const [profile, followers, media] = await Promise.all([
+            threadsApi.getProfile(accessToken),
+            threadsApi.getFollowersCount(user.threads.id, accessToken),
+            threadsApi.getMediaInsights(accessToken)
+        ]);
+
+        // Create events from analytics data (non-blocking)
+        createThreadsEvents(user, media).catch(err => {
+            console.error("Background event creation failed:", err);
+        });
+
+        res.json({
+            success: true,
+            profile: {
+                username: profile.username,
+                followers
+            },
+            media: media.map(item => ({
+                id: item.id,
+                text: item.text || null,
+                contentType: threadsContentType(item),
+                permalink: item.permalink,
+                timestamp: item.timestamp,
+                insights: item.insights
+            }))
+        });
+    } catch (error) {
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching Threads analytics:", loggableError(error));
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to fetch Threads analytics",
+            error: error.message 
+        });
+    }
+};
+
+// TikTok video count -> normalizeTikTokEvent engagement_type
+const TIKTOK_VIDEO_METRICS = {
+    view_count: { engagement_type: "view", audience: "viewers", key: "views" },
+    like_count: { engagement_type: "like", audience: "likers", key: "likes" },
+    comment_count: { engagement_type: "comment", audience: "commenters", key: "comments" },
+    share_count: { engagement_type: "share", audience: "sharers", key: "shares" }
+};
+
+/**
+ * Helper function to create events from TikTok video counts
+ * (the change since each video's last snapshot, normalized through normalizeTikTokEvent)
+ */
+const createTikTokEvents = async (user, videos) => {
+    try {
+        const tiktokId = user.tiktok.id;
+        let created = 0;
+
+        for (const video of videos) {
+            created += await snapshotEvents(
+                user,
+                "tiktok",
+                { content_id: video.id, content_type: "video", owner_platform_id: tiktokId },
+                pickCounters(video, Object.keys(TIKTOK_VIDEO_METRICS)),
+                ({ metric, count, sequence, timestamp }) => {
+                    const { engagement_type, audience, key } = TIKTOK_VIDEO_METRICS[metric];
+
+                    return {
+                        ...normalizeTikTokEvent({
+                            engagement_type,
+                            video: { id: video.id, author_id: tiktokId, duration: video.duration },
+                            user: { id: "aggregate", username: `tiktok_${audience}` },
+                            count,
+                            create_time: Math.floor(new Date(timestamp).getTime() / 1000),
+                            source: "api",
+                            raw_event_id: `tt_${key}_${video.id}_${sequence}`
+                        }),
+                        pinscore_user_id: user._id
+                    };
+                }
+            );
+        }
+
+        if (created > 0) {
+            console.log(`✅ Created ${created} TikTok events for user ${user._id}`);
+        }
+
+        return created;
+    } catch (error) {
+        console.error("Error creating TikTok events:", error);
+        // Don't fail the request if event creation fails
+        return 0;
+    }
+};
+
+// TikTok (Login Kit v2)
+// Returns the authorize URL for the frontend to redirect to
+exports.startTikTokAuth = async (req, res) => {
+    try {
+        if (!process.env.TIKTOK_CLIENT_KEY || !process.env.TIKTOK_REDIRECT_URI) {
+            return res.status(503).json({
+                success: false,
+                message: "TikTok integration is not configured"
+            });
+        }
+
+        const state = await createOAuthState(req.user.userId, "tiktok");
+
+        res.json({
+            success: true,
+            data: {
+                url: tiktokApi.buildAuthorizeUrl(state)
+            }
+        });
+    } catch (error) {
+        console.error("Error starting TikTok auth:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to start TikTok authorization",
+            error: error.message
+        });
+    }
+};
+
+exports.tiktokCallback = async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        const pending = await consumeOAuthState(state, "tiktok");
+        if (!pending || error || !code) {
+            return res.redirect(connectedAccountsRedirect("tiktok", "error"));
+        }
+
+        const user = await User.findById(pending.user);
+        if (!user) {
+            return res.redirect(connectedAccountsRedirect("tiktok", "error"));
+        }
+
+        const { openId, ...tokens } = await tiktokApi.exchangeCode(code);
+        const account = await tiktokApi.getUserInfo(tokens.accessToken);
+
+        user.tiktok = {
+            // open_id is what webhooks identify the account by (user_openid)
+            id: openId || account.open_id,
+            username: account.username || account.display_name,
+            ...tokens,
+            connectedAt: new Date()
+        };
+        await user.save();
+
+        res.redirect(connectedAccountsRedirect("tiktok"));
+    } catch (error) {
+        console.error("TikTok OAuth error:", loggableError(error));
+        res.redirect(connectedAccountsRedirect("tiktok", "error"));
+    }
+};
+
+exports.disconnectTikTok = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false,
+                message: "User not found" 
+            });
+        }
+
+        const accessToken = user.tiktok?.accessToken;
+
+        user.tiktok = null;
+        await user.save();
+
+        if (accessToken) {
+            tiktokApi.revokeToken(accessToken).catch(error => {
+                console.error("TikTok token revocation error:", error.message);
+            });
+        }
+
+        res.json({ 
+            success: true,
+            message: "TikTok disconnected successfully" 
+        });
+    } catch (error) {
+        console.error("Error disconnecting TikTok:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to disconnect TikTok",
+            error: error.message 
+        });
+    }
+};
+
+// TikTok Analytics (per-video counts)
+exports.getTikTokAnalytics = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.tiktok || !user.tiktok.accessToken) {
+            return res.status(400).json({ 
+                success: false,
+                message: "TikTok not connected" 
+            });
+        }
+
+        let accessToken = await getAccessToken(user, "tiktok");
+        let account;
+        let videos;
+
+        try {
+            [account, videos] = await Promise.all([
+                tiktokApi.getUserInfo(accessToken),
+                tiktokApi.getVideos(accessToken)
+            ]);
+        } catch (error) {
+            if (error.response?.status === 401) {
+                // Token revoked or expired early: refresh once and retry
+                accessToken = await getAccessToken(user, "tiktok", { force: true });
+                [account, videos] = await Promise.all([
+                    tiktokApi.getUserInfo(accessToken),
+                    tiktokApi.getVideos(accessToken)
+                ]);
+            } else {
+                throw error;
+            }
+        }
+
+        // Create events from analytics data (non-blocking)
+        createTikTokEvents(user, videos).catch(err => {
+            console.error("Background event creation failed:", err);
+        });
+
+        const sum = (metric) => videos.reduce((total, video) => total + (video[metric] || 0), 0);
+
+        const metricsRaw = {
+            Impressions: sum("view_count"),
+            Likes: sum("like_count"),
+            Comments: sum("comment_count"),
+            // Current total, not a gain over the window
+            Followers: account.follower_count || 0,
+            Shares: sum("share_count"),
+            Saves: 0
+        };
+
+        const metrics = Object.fromEntries(
+            Object.entries(metricsRaw).map(([name, value]) => [name, formatNumber(value)])
+        );
+        metrics.Saves = "N/A";
+
+        res.json({
+            success: true,
+            metrics,
+            metricsRaw,
+            videos: videos.map(video => ({
+                id: video.id,
+                title: video.title || null,
+                createdAt: video.create_time ? new Date(video.create_time * 1000).toISOString() : null,
+                shareUrl: video.share_url,
+                views: video.view_count || 0,
+                likes: video.like_count || 0,
+                comments: video.comment_count || 0,
+                shares: video.share_count || 0
+            }))
+        });
+    } catch (error) {
+        if (error.code === "needs_reauth") {
+            return sendNeedsReauth(res, error);
+        }
+        console.error("Error fetching TikTok analytics:", loggableError(error));
+        res.status(500).json({ 
+            success: false,
+            message: "Failed to fetch TikTok analytics",
             error: error.message 
         });
     }
@@ -377,6 +1628,7 @@ exports.getAggregatedAnalytics = async (req, res) => {
         // Aggregate events by platform and type
         const summary = await Event.aggregate([
             { $match: query },
+            ...Event.effectiveVersionStages(),
             {
                 $group: {
                     _id: {
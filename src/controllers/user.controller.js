@@ -1,15 +1,22 @@
 const User = require("../schema/user.schema");
 const bcrypt = require("bcryptjs");
 const cloudinary = require("../config/cloudinary.config");
+const { ROLES } = require("../config/roles.config");
+const { recomputePinscore } = require("../utils/pinscoreEngine.utils");
+const { EVENT_TYPE_WEIGHTS, PLATFORM_MULTIPLIERS } = require("../config/pinscore.config");
+
+// Never loaded for responses: secrets and platform credentials
+const PRIVATE_FIELDS = [
+  "password", "otp", "otpExpiration", "passwordReset",
+  ...User.credentialPaths()
+].map(field => `-${field}`).join(" ");
 
 
 // Get Profile Controller
 // src/controllers/user.controller.js (updated getProfile)
 exports.getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select(
-      "-password -otp -otpExpiration"
-    );
+    const user = await User.findById(req.user.userId).select(PRIVATE_FIELDS);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -23,6 +30,7 @@ exports.getProfile = async (req, res) => {
         profilePicture: user.profilePicture?.url || null,
         isVerified: user.isVerified,
         isAdmin: user.isAdmin,
+        role: user.getRole(),
         createdAt: user.createdAt,
         youtube: user.youtube
           ? {
@@ -42,23 +50,13 @@ exports.getProfile = async (req, res) => {
 };
 
 // Get All Users (Admin) Controller
+// Access is enforced by requirePermission("users:read") on the route
 exports.getAllUsers = async (req, res) => {
   try {
-    const requestingUser = await User.findById(req.user.userId);
-    if (!requestingUser) {
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    if (!requestingUser.isAdmin) {
-      return res
-        .status(403)
-        .json({ message: "Access denied: Admin privileges required" });
-    }
-
     const { skip, limit } = req.pagination;
     const totalUsers = await User.countDocuments();
     const users = await User.find()
-      .select("-password -otp -otpExpiration")
+      .select(PRIVATE_FIELDS)
       .skip(skip)
       .limit(limit);
 
@@ -72,6 +70,7 @@ exports.getAllUsers = async (req, res) => {
         profilePicture: user.profilePicture?.url || null,
         isVerified: user.isVerified,
         isAdmin: user.isAdmin,
+        role: user.getRole(),
         createdAt: user.createdAt,
       })),
       pagination: {
@@ -152,4 +151,69 @@ exports.updateProfile = async (req, res) => {
     console.error("Update profile error:", err);
     res.status(500).json({ message: "Internal Server Error" });
   }
-};
\ No newline at end of file
+};
+
+// Update User Role (Admin) Controller
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        message: `Invalid role. Must be one of: ${Object.values(ROLES).join(", ")}`,
+      });
+    }
+
+    if (String(userId) === String(req.user.userId) && role !== ROLES.ADMIN) {
+      return res.status(400).json({ message: "Admins cannot remove their own admin role" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      message: "Role updated successfully",
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        role: user.getRole(),
+      },
+    });
+  } catch (err) {
+    console.error("Update role error:", err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Get Pinscore Controller (recomputes and explains the score)
+exports.getPinscore = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("_id");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const result = await recomputePinscore(user._id);
+
+    res.json({
+      message: "Pinscore retrieved successfully",
+      pinscore: {
+        total: result.total,
+        velocity: result.velocity,
+        lastUpdated: result.computedAt,
+      },
+      breakdown: result.breakdown,
+      weights: {
+        eventTypes: EVENT_TYPE_WEIGHTS,
+        platforms: PLATFORM_MULTIPLIERS,
+      },
+    });
+  } catch (err) {
+    console.error("Pinscore error:", err);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
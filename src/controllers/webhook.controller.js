@@ -1,6 +1,27 @@
 // src/controllers/webhook.controller.js
 const Event = require("../schema/event.schema");
 const User = require("../schema/user.schema");
+const WebhookRejection = require("../schema/webhookRejection.schema");
+const WebhookInbox = require("../schema/webhookInbox.schema");
+const WebhookDeadLetter = require("../schema/webhookDeadLetter.schema");
+const { channelIdFromTopic } = require("../utils/youtubeFeed.utils");
+const { confirmSubscription } = require("../utils/youtubeSubscription.utils");
+const { enqueueWebhook, processWebhookNow, replayDeadLetter } = require("../utils/webhookInbox.utils");
+
+/**
+ * Persist the raw delivery, acknowledge it, then process it in the background.
+ * Processing failures are retried from the inbox (utils/webhookInbox.utils.js),
+ * so the platform only sees an error if the delivery couldn't be stored.
+ */
+const acceptWebhook = async (platform, req, res, ack = "OK") => {
+    const entry = await enqueueWebhook(platform, req);
+
+    res.status(200).send(ack);
+
+    processWebhookNow(entry._id).catch(error => {
+        console.error(`Webhook ${entry._id} [${platform}] processing error:`, error);
+    });
+};
 
 /**
  * YouTube Webhook Handler
@@ -8,56 +29,33 @@ const User = require("../schema/user.schema");
  */
 exports.handleYouTubeWebhook = async (req, res) => {
     try {
-        // YouTube sends GET request for verification
+        // Hub verifies (un)subscription intent with a GET before it delivers anything
         if (req.method === "GET") {
+            const mode = req.query["hub.mode"];
+            const topic = req.query["hub.topic"];
             const challenge = req.query["hub.challenge"];
-            if (challenge) {
-                return res.status(200).send(challenge);
+            const channelId = channelIdFromTopic(topic);
+
+            if (!challenge || !channelId || !["subscribe", "unsubscribe"].includes(mode)) {
+                return res.status(404).send("Not Found");
             }
-        }
 
-        // POST request contains actual notification
-        const notification = req.body;
-        
-        // Parse YouTube notification
-        // (YouTube sends Atom feed format)
-        const channelId = notification.channelId;
-        const videoId = notification.videoId;
-        const action = notification.action; // new_video, updated_video, etc.
-
-        // Find user by channel ID
-        const user = await User.findOne({ "youtube.channelId": channelId });
-        if (!user) {
-            console.log(`No user found for YouTube channel: ${channelId}`);
-            return res.status(200).send("OK");
-        }
+            // Only confirm subscriptions we requested for a connected channel (recording
+            // the lease the hub granted), and unsubscriptions for channels nobody has
+            if (mode === "subscribe") {
+                const confirmed = await confirmSubscription(channelId, req.query["hub.lease_seconds"]);
+                if (!confirmed) {
+                    return res.status(404).send("Not Found");
+                }
+            } else if (await User.exists({ "youtube.channelId": channelId })) {
+                return res.status(404).send("Not Found");
+            }
 
-        // Create event based on notification
-        await Event.createEvent({
-            type: "impression",
-            platform: "youtube",
-            actor: {
-                platform_user_id: channelId,
-                username: user.youtube.channelName || "unknown"
-            },
-            subject: {
-                content_id: videoId,
-                content_type: "video",
-                owner_platform_id: channelId
-            },
-            metrics: {
-                count: 1
-            },
-            metadata: {
-                source: "webhook",
-                raw_event_id: videoId,
-                action: action
-            },
-            timestamp: new Date().toISOString(),
-            pinscore_user_id: user._id
-        });
+            return res.status(200).type("text/plain").send(challenge);
+        }
 
-        res.status(200).send("OK");
+        // POST body is an Atom feed (raw text, see the text parser in index.js)
+        await acceptWebhook("youtube", req, res);
     } catch (error) {
         console.error("YouTube webhook error:", error);
         res.status(500).json({ 
@@ -87,57 +85,8 @@ exports.handleInstagramWebhook = async (req, res) => {
             }
         }
 
-        // POST request contains actual notification
-        const body = req.body;
-
-        // Instagram sends batch updates
-        if (body.object === "instagram") {
-            for (const entry of body.entry) {
-                const userId = entry.id;
-                
-                // Find user
-                const user = await User.findOne({ "instagram.id": userId });
-                if (!user) continue;
-
-                // Process each change
-                for (const change of entry.changes) {
-                    const field = change.field;
-                    const value = change.value;
-
-                    let eventType = "engagement";
-                    
-                    // Map Instagram fields to event types
-                    if (field === "likes") eventType = "engagement";
-                    if (field === "comments") eventType = "comment";
-                    if (field === "follows") eventType = "follow";
-
-                    await Event.createEvent({
-                        type: eventType,
-                        platform: "instagram",
-                        actor: {
-                            platform_user_id: value.from?.id || "unknown",
-                            username: value.from?.username || "unknown"
-                        },
-                        subject: {
-                            content_id: value.media_id || userId,
-                            content_type: value.media_type || "post",
-                            owner_platform_id: userId
-                        },
-                        metrics: {
-                            count: 1
-                        },
-                        metadata: {
-                            source: "webhook",
-                            raw_event_id: value.id
-                        },
-                        timestamp: new Date(value.created_time * 1000).toISOString(),
-                        pinscore_user_id: user._id
-                    });
-                }
-            }
-        }
-
-        res.status(200).send("EVENT_RECEIVED");
+        // POST request contains a batch of updates
+        await acceptWebhook("instagram", req, res, "EVENT_RECEIVED");
     } catch (error) {
         console.error("Instagram webhook error:", error);
         res.status(500).json({ 
@@ -167,43 +116,15 @@ exports.handleTwitterWebhook = async (req, res) => {
                     response_token: `sha256=${hmac}`
                 });
             }
-        }
 
-        // POST request contains actual events
-        const body = req.body;
-
-        // Process different event types
-        if (body.favorite_events) {
-            for (const event of body.favorite_events) {
-                const user = await User.findOne({ "twitter.id": event.favorited_status.user.id_str });
-                if (!user) continue;
-
-                await Event.createEvent({
-                    type: "engagement",
-                    platform: "twitter",
-                    actor: {
-                        platform_user_id: event.user.id_str,
-                        username: event.user.screen_name
-                    },
-                    subject: {
-                        content_id: event.favorited_status.id_str,
-                        content_type: "post",
-                        owner_platform_id: event.favorited_status.user.id_str
-                    },
-                    metrics: {
-                        count: 1
-                    },
-                    metadata: {
-                        source: "webhook",
-                        raw_event_id: event.favorited_status.id_str
-                    },
-                    timestamp: new Date(event.created_at).toISOString(),
-                    pinscore_user_id: user._id
-                });
-            }
+            return res.status(400).json({
+                success: false,
+                message: "crc_token is required"
+            });
         }
 
-        res.status(200).send("OK");
+        // POST request contains actual events
+        await acceptWebhook("twitter", req, res);
     } catch (error) {
         console.error("Twitter webhook error:", error);
         res.status(500).json({ 
@@ -215,21 +136,11 @@ exports.handleTwitterWebhook = async (req, res) => {
 
 /**
  * TikTok Webhook Handler
+ * Events arrive as { client_key, event, create_time, user_openid, content }
  */
 exports.handleTikTokWebhook = async (req, res) => {
     try {
-        // TikTok webhook verification
-        if (req.method === "GET") {
-            // Implement TikTok's verification logic
-            return res.status(200).send("OK");
-        }
-
-        const body = req.body;
-        
-        // Process TikTok events
-        // Implementation depends on TikTok's webhook format
-        
-        res.status(200).send("OK");
+        await acceptWebhook("tiktok", req, res);
     } catch (error) {
         console.error("TikTok webhook error:", error);
         res.status(500).json({ 
@@ -270,12 +181,26 @@ exports.handleGenericWebhook = async (req, res) => {
  */
 exports.getWebhookStats = async (req, res) => {
     try {
+        const rejections = await WebhookRejection.aggregate([
+            {
+                $group: {
+                    _id: {
+                        platform: "$platform",
+                        reason: "$reason"
+                    },
+                    count: { $sum: 1 },
+                    lastRejectedAt: { $max: "$createdAt" }
+                }
+            }
+        ]);
+
         const stats = await Event.aggregate([
             {
                 $match: {
                     "metadata.source": "webhook"
                 }
             },
+            ...Event.effectiveVersionStages(),
             {
                 $group: {
                     _id: {
@@ -288,9 +213,23 @@ exports.getWebhookStats = async (req, res) => {
             }
         ]);
 
+        const [inbox, deadLetters] = await Promise.all([
+            WebhookInbox.aggregate([
+                { $group: { _id: { platform: "$platform", status: "$status" }, count: { $sum: 1 } } }
+            ]),
+            WebhookDeadLetter.aggregate([
+                { $group: { _id: { platform: "$platform", reason: "$reason" }, count: { $sum: 1 } } }
+            ])
+        ]);
+
         res.json({
             success: true,
-            data: stats
+            data: stats,
+            rejections,
+            queue: {
+                inbox,
+                dead_letters: deadLetters
+            }
         });
     } catch (error) {
         console.error("Webhook stats error:", error);
@@ -299,4 +238,157 @@ exports.getWebhookStats = async (req, res) => {
             message: "Failed to fetch webhook stats" 
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * List inbox entries (?status=pending|processing|processed&platform=)
+ */
+exports.listInbox = async (req, res) => {
+    try {
+        const { skip, limit, page } = req.pagination;
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.platform) query.platform = req.query.platform;
+
+        const [entries, total] = await Promise.all([
+            WebhookInbox.find(query)
+                .select("-payload")
+                .sort({ received_at: -1 })
+                .skip(skip)
+                .limit(limit),
+            WebhookInbox.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("Webhook inbox error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch webhook inbox",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List dead letters (?platform=&reason=max_attempts|non_retryable)
+ */
+exports.listDeadLetters = async (req, res) => {
+    try {
+        const { skip, limit, page } = req.pagination;
+        const query = {};
+        if (req.query.platform) query.platform = req.query.platform;
+        if (req.query.reason) query.reason = req.query.reason;
+
+        const [deadLetters, total] = await Promise.all([
+            WebhookDeadLetter.find(query)
+                .select("-payload")
+                .sort({ dead_lettered_at: -1 })
+                .skip(skip)
+                .limit(limit),
+            WebhookDeadLetter.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: deadLetters,
+            pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("Dead letter list error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch dead letters",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Inspect one dead letter, raw payload included
+ */
+exports.getDeadLetter = async (req, res) => {
+    try {
+        const deadLetter = await WebhookDeadLetter.findById(req.params.deadLetterId);
+        if (!deadLetter) {
+            return res.status(404).json({
+                success: false,
+                message: "Dead letter not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            data: deadLetter
+        });
+    } catch (error) {
+        console.error("Dead letter fetch error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch dead letter",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-queue a dead letter and process it immediately
+ */
+exports.replayDeadLetter = async (req, res) => {
+    try {
+        const replay = await replayDeadLetter(req.params.deadLetterId);
+        if (!replay) {
+            return res.status(404).json({
+                success: false,
+                message: "Dead letter not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Webhook replayed: ${replay.outcome}`,
+            data: {
+                inbox_id: replay.entry._id,
+                outcome: replay.outcome
+            }
+        });
+    } catch (error) {
+        console.error("Dead letter replay error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to replay dead letter",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Drop a dead letter for good
+ */
+exports.discardDeadLetter = async (req, res) => {
+    try {
+        const deadLetter = await WebhookDeadLetter.findByIdAndDelete(req.params.deadLetterId);
+        if (!deadLetter) {
+            return res.status(404).json({
+                success: false,
+                message: "Dead letter not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Dead letter discarded"
+        });
+    } catch (error) {
+        console.error("Dead letter discard error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to discard dead letter",
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,81 @@
+// src/middleware/apiKey.middleware.js
+const crypto = require("crypto");
+const ApiKey = require("../schema/apiKey.schema");
+
+const hashApiKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+exports.hashApiKey = hashApiKey;
+
+/**
+ * Authenticate machine-to-machine callers by API key.
+ * Accepts "X-API-Key: <key>" or "Authorization: ApiKey <key>".
+ * Each event in the request counts against the key's quota.
+ */
+exports.authenticateApiKey = async (req, res, next) => {
+  const key = req.header("X-API-Key") ||
+    req.header("Authorization")?.match(/^ApiKey\s+(.+)$/)?.[1];
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      message: "API key required"
+    });
+  }
+
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or revoked API key"
+      });
+    }
+
+    const now = new Date();
+    const batch = req.body?.events || req.body?.payloads;
+    const cost = Array.isArray(batch) ? batch.length : 1;
+
+    // Roll the quota window over once it has lapsed
+    await ApiKey.updateOne(
+      { _id: apiKey._id, "usage.windowStartedAt": { $lte: new Date(now - apiKey.quota.windowMs) } },
+      { $set: { "usage.windowStartedAt": now, "usage.count": 0 } }
+    );
+
+    const quotaFilter = apiKey.quota.limit
+      ? { "usage.count": { $lte: apiKey.quota.limit - cost } }
+      : {};
+
+    const updated = await ApiKey.findOneAndUpdate(
+      { _id: apiKey._id, ...quotaFilter },
+      {
+        $inc: { "usage.count": cost, "usage.totalEvents": cost },
+        $set: { lastUsedAt: now }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await ApiKey.findById(apiKey._id);
+      const resetAt = current.usage.windowStartedAt.getTime() + current.quota.windowMs;
+      const retryAfter = Math.max(Math.ceil((resetAt - now.getTime()) / 1000), 1);
+
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "API key quota exceeded",
+        quota: current.quota.limit,
+        retryAfter
+      });
+    }
+
+    req.apiKey = updated;
+    next();
+  } catch (error) {
+    console.error("API key authentication error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to authenticate API key"
+    });
+  }
+};
@@ -1,21 +1,34 @@
 const jwt = require("jsonwebtoken");
+const Session = require("../schema/session.schema");
 
 // Middleware to authenticate JWT
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
 
   if (!token) return res.status(401).json({ message: "Access denied" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  try {
+    // Access tokens are bound to a session so logout / revocation takes effect immediately
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive) {
+      return res.status(401).json({ message: "Session has been revoked. Please log in again." });
+    }
+
     // Map standard 'sub' claim to 'userId' for backward compatibility with existing controllers
-    req.user = { 
+    req.user = {
       userId: decoded.sub || decoded.userId, // Support both new and legacy tokens during transition
-      ...decoded 
+      ...decoded
     };
     next();
   } catch (err) {
-    return res.status(401).json({ message: "Invalid or expired token" });
+    next(err);
   }
 };
 
@@ -1,7 +1,7 @@
 // src/middleware/eventValidation.middleware.js
 
 const VALID_EVENT_TYPES = [
-  "engagement", "impression", "follow", "share", "comment", "save", "click"
+  "engagement", "impression", "follow", "share", "comment", "save", "click", "watch"
 ];
 
 const VALID_PLATFORMS = [
@@ -14,153 +14,100 @@ const VALID_CONTENT_TYPES = [
 
 const VALID_SOURCES = ["api", "scraper", "manual", "webhook"];
 
-// Validate single event
-exports.validateEvent = (req, res, next) => {
-  try {
-    const event = req.body;
-    
-    // Required top-level fields
-    if (!event.type) {
-      return res.status(400).json({
-        success: false,
-        message: "Event type is required",
-        field: "type"
-      });
-    }
-    
-    if (!VALID_EVENT_TYPES.includes(event.type)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid event type. Must be one of: ${VALID_EVENT_TYPES.join(", ")}`,
-        field: "type"
-      });
-    }
-    
-    if (!event.platform) {
-      return res.status(400).json({
-        success: false,
-        message: "Platform is required",
-        field: "platform"
-      });
-    }
-    
-    if (!VALID_PLATFORMS.includes(event.platform)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid platform. Must be one of: ${VALID_PLATFORMS.join(", ")}`,
-        field: "platform"
-      });
-    }
-    
-    // Validate actor
-    if (!event.actor) {
-      return res.status(400).json({
-        success: false,
-        message: "Actor is required",
-        field: "actor"
-      });
-    }
-    
-    if (!event.actor.platform_user_id || !event.actor.username) {
-      return res.status(400).json({
-        success: false,
-        message: "Actor must have platform_user_id and username",
-        field: "actor"
-      });
-    }
-    
-    // Validate subject
-    if (!event.subject) {
-      return res.status(400).json({
-        success: false,
-        message: "Subject is required",
-        field: "subject"
-      });
-    }
-    
-    if (!event.subject.content_id || !event.subject.content_type || !event.subject.owner_platform_id) {
-      return res.status(400).json({
-        success: false,
-        message: "Subject must have content_id, content_type, and owner_platform_id",
-        field: "subject"
-      });
-    }
-    
-    if (!VALID_CONTENT_TYPES.includes(event.subject.content_type)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid content_type. Must be one of: ${VALID_CONTENT_TYPES.join(", ")}`,
-        field: "subject.content_type"
-      });
-    }
-    
-    // Validate metrics
-    if (!event.metrics) {
-      return res.status(400).json({
-        success: false,
-        message: "Metrics is required",
-        field: "metrics"
-      });
-    }
-    
-    if (typeof event.metrics.count !== "number") {
-      return res.status(400).json({
-        success: false,
-        message: "Metrics.count must be a number",
-        field: "metrics.count"
-      });
-    }
-    
-    // Validate metadata
-    if (!event.metadata) {
-      return res.status(400).json({
-        success: false,
-        message: "Metadata is required",
-        field: "metadata"
-      });
-    }
-    
-    if (!event.metadata.source) {
-      return res.status(400).json({
-        success: false,
-        message: "Metadata.source is required",
-        field: "metadata.source"
-      });
-    }
-    
-    if (!VALID_SOURCES.includes(event.metadata.source)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid source. Must be one of: ${VALID_SOURCES.join(", ")}`,
-        field: "metadata.source"
-      });
-    }
-    
-    // Validate timestamp
-    if (!event.timestamp) {
-      return res.status(400).json({
-        success: false,
-        message: "Timestamp is required",
-        field: "timestamp"
-      });
-    }
-    
-    // Try to parse timestamp
+const MAX_BATCH_SIZE = 1000;
+
+exports.VALID_EVENT_TYPES = VALID_EVENT_TYPES;
+exports.VALID_PLATFORMS = VALID_PLATFORMS;
+exports.VALID_CONTENT_TYPES = VALID_CONTENT_TYPES;
+exports.VALID_SOURCES = VALID_SOURCES;
+exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+/**
+ * Collect every field error for a canonical event
+ * Returns [{ field, message }]; empty when the event is valid
+ */
+exports.collectEventErrors = (event) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    fail("event", "Event must be an object");
+    return errors;
+  }
+  
+  // Required top-level fields
+  if (!event.type) {
+    fail("type", "Event type is required");
+  } else if (!VALID_EVENT_TYPES.includes(event.type)) {
+    fail("type", `Invalid event type. Must be one of: ${VALID_EVENT_TYPES.join(", ")}`);
+  }
+  
+  if (!event.platform) {
+    fail("platform", "Platform is required");
+  } else if (!VALID_PLATFORMS.includes(event.platform)) {
+    fail("platform", `Invalid platform. Must be one of: ${VALID_PLATFORMS.join(", ")}`);
+  }
+  
+  // Validate actor
+  if (!event.actor) {
+    fail("actor", "Actor is required");
+  } else if (!event.actor.platform_user_id || !event.actor.username) {
+    fail("actor", "Actor must have platform_user_id and username");
+  }
+  
+  // Validate subject
+  if (!event.subject) {
+    fail("subject", "Subject is required");
+  } else if (!event.subject.content_id || !event.subject.content_type || !event.subject.owner_platform_id) {
+    fail("subject", "Subject must have content_id, content_type, and owner_platform_id");
+  } else if (!VALID_CONTENT_TYPES.includes(event.subject.content_type)) {
+    fail("subject.content_type", `Invalid content_type. Must be one of: ${VALID_CONTENT_TYPES.join(", ")}`);
+  }
+  
+  // Validate metrics
+  if (!event.metrics) {
+    fail("metrics", "Metrics is required");
+  } else if (typeof event.metrics.count !== "number") {
+    fail("metrics.count", "Metrics.count must be a number");
+  }
+  
+  // Validate metadata
+  if (!event.metadata) {
+    fail("metadata", "Metadata is required");
+  } else if (!event.metadata.source) {
+    fail("metadata.source", "Metadata.source is required");
+  } else if (!VALID_SOURCES.includes(event.metadata.source)) {
+    fail("metadata.source", `Invalid source. Must be one of: ${VALID_SOURCES.join(", ")}`);
+  }
+  
+  // Validate timestamp
+  if (!event.timestamp) {
+    fail("timestamp", "Timestamp is required");
+  } else {
     const timestamp = new Date(event.timestamp);
+    
     if (isNaN(timestamp.getTime())) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid timestamp format. Must be ISO8601",
-        field: "timestamp"
-      });
+      fail("timestamp", "Invalid timestamp format. Must be ISO8601");
+    } else if (timestamp > new Date()) {
+      // Ensure timestamp is not in the future
+      fail("timestamp", "Timestamp cannot be in the future");
     }
+  }
+  
+  return errors;
+};
+
+// Validate single event
+exports.validateEvent = (req, res, next) => {
+  try {
+    const errors = exports.collectEventErrors(req.body);
     
-    // Ensure timestamp is not in the future
-    if (timestamp > new Date()) {
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: "Timestamp cannot be in the future",
-        field: "timestamp"
+        message: errors[0].message,
+        field: errors[0].field,
+        errors
       });
     }
     
@@ -177,6 +124,8 @@ exports.validateEvent = (req, res, next) => {
 };
 
 // Validate batch events
+// Invalid events don't fail the batch: their field errors are attached to
+// req.batchValidation (one entry per index) and reported per index by the controller.
 exports.validateBatchEvents = (req, res, next) => {
   try {
     const { events } = req.body;
@@ -195,26 +144,18 @@ exports.validateBatchEvents = (req, res, next) => {
       });
     }
     
-    if (events.length > 1000) {
+    if (events.length > MAX_BATCH_SIZE) {
       return res.status(400).json({
         success: false,
-        message: "Cannot process more than 1000 events at once"
+        message: `Cannot process more than ${MAX_BATCH_SIZE} events at once`
       });
     }
     
-    // Validate each event in the batch
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      
-      // Quick validation of required fields
-      if (!event.type || !event.platform || !event.actor || !event.subject || !event.metrics || !event.metadata || !event.timestamp) {
-        return res.status(400).json({
-          success: false,
-          message: `Event at index ${i} is missing required fields`,
-          index: i
-        });
-      }
-    }
+    // Raw ingestion: payloads that failed to normalize keep their normalization errors
+    req.batchValidation = events.map((event, index) => {
+      const normalizationErrors = req.normalizationErrors?.[index] || [];
+      return normalizationErrors.length > 0 ? normalizationErrors : exports.collectEventErrors(event);
+    });
     
     next();
     
@@ -226,4 +167,4 @@ exports.validateBatchEvents = (req, res, next) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -1,10 +1,41 @@
 // src/middleware/platformNormalizer.middleware.js
+const crypto = require("crypto");
 
 /**
  * Normalizes platform-specific data into canonical event format
  * Maps platform-specific fields to our unified schema
  */
 
+// JSON with sorted keys, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Dedup key for a normalized event (see Event.ingest). Payloads may carry
+ * their own raw_event_id; otherwise the interaction is identified by who did
+ * what to which content, plus a hash of the payload. A redelivered payload
+ * dedupes, while two comments or two insight readings from the same actor
+ * differ. Identical repeats (views) still collapse, so send raw_event_id for those.
+ */
+const buildRawEventId = (rawData, actorId, contentId) => {
+  if (rawData.raw_event_id) return rawData.raw_event_id;
+
+  // source is set by whichever path delivered the payload, not by the platform
+  const { source, ...payload } = rawData;
+  const digest = crypto.createHash("sha256").update(stableStringify(payload)).digest("hex").slice(0, 16);
+
+  return `${rawData.engagement_type || "engagement"}:${actorId}:${contentId}:${digest}`;
+};
+
+// Fallback keys used to stop at the content id (no payload hash). Events stored
+// under them are still matched on redelivery, see Event.findDuplicatesForBatch.
+const legacyRawEventId = (rawEventId) => rawEventId.replace(/:[0-9a-f]{16}$/, "");
+
 // Twitter/X normalization
 const normalizeTwitterEvent = (rawData) => {
   const { tweet, engagement_type, user } = rawData;
@@ -37,12 +68,21 @@ const normalizeTwitterEvent = (rawData) => {
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: tweet.id_str
+      raw_event_id: buildRawEventId(rawData, user.id_str || user.id, tweet.id_str || tweet.id)
     },
     timestamp: new Date(tweet.created_at || Date.now()).toISOString()
   };
 };
 
+// Instagram media_type -> canonical content type
+const INSTAGRAM_MEDIA_TYPES = {
+  "IMAGE": "post",
+  "VIDEO": "video",
+  "CAROUSEL_ALBUM": "post",
+  "REELS": "reel",
+  "STORY": "story"
+};
+
 // Instagram normalization
 const normalizeInstagramEvent = (rawData) => {
   const { media, engagement_type, user } = rawData;
@@ -56,14 +96,6 @@ const normalizeInstagramEvent = (rawData) => {
     "impression": "impression"
   };
   
-  const contentTypeMap = {
-    "IMAGE": "post",
-    "VIDEO": "video",
-    "CAROUSEL_ALBUM": "post",
-    "REELS": "reel",
-    "STORY": "story"
-  };
-  
   return {
     type: eventTypeMap[engagement_type] || "engagement",
     platform: "instagram",
@@ -75,7 +107,7 @@ const normalizeInstagramEvent = (rawData) => {
     },
     subject: {
       content_id: media.id,
-      content_type: contentTypeMap[media.media_type] || "post",
+      content_type: INSTAGRAM_MEDIA_TYPES[media.media_type] || "post",
       owner_platform_id: media.owner.id
     },
     metrics: {
@@ -83,7 +115,7 @@ const normalizeInstagramEvent = (rawData) => {
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: media.id,
+      raw_event_id: buildRawEventId(rawData, user.id, media.id),
       is_verified: user.is_verified
     },
     timestamp: new Date(media.timestamp || Date.now()).toISOString()
@@ -122,7 +154,7 @@ const normalizeYouTubeEvent = (rawData) => {
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: video.id
+      raw_event_id: buildRawEventId(rawData, user.id, video.id)
     },
     timestamp: new Date(video.publishedAt || Date.now()).toISOString()
   };
@@ -130,16 +162,33 @@ const normalizeYouTubeEvent = (rawData) => {
 
 // TikTok normalization
 const normalizeTikTokEvent = (rawData) => {
-  const { video, engagement_type, user } = rawData;
+  const { video, profile, engagement_type, user } = rawData;
   
   const eventTypeMap = {
     "like": "engagement",
     "comment": "comment",
     "share": "share",
     "follow": "follow",
-    "view": "impression"
+    "view": "impression",
+    "publish": "impression"
   };
   
+  // Follows target the creator's profile rather than a video
+  const subject = video
+    ? {
+        content_id: video.id,
+        content_type: "video",
+        owner_platform_id: video.author_id || video.author.id
+      }
+    : {
+        content_id: profile.id || profile.open_id,
+        content_type: "profile",
+        owner_platform_id: profile.id || profile.open_id
+      };
+  
+  // Webhook deliveries carry their own create_time; fall back to the video's
+  const createTime = rawData.create_time || video?.create_time;
+  
   return {
     type: eventTypeMap[engagement_type] || "engagement",
     platform: "tiktok",
@@ -149,20 +198,17 @@ const normalizeTikTokEvent = (rawData) => {
       display_name: user.nickname || user.display_name,
       avatar_url: user.avatar_url || user.avatar_larger
     },
-    subject: {
-      content_id: video.id,
-      content_type: "video",
-      owner_platform_id: video.author_id || video.author.id
-    },
+    subject,
     metrics: {
-      count: 1,
-      duration_ms: video.duration ? video.duration * 1000 : null
+      // Video list snapshots carry an aggregate count
+      count: rawData.count || 1,
+      duration_ms: video?.duration ? video.duration * 1000 : null
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: video.id
+      raw_event_id: buildRawEventId(rawData, user.id || user.open_id, subject.content_id)
     },
-    timestamp: new Date(video.create_time * 1000 || Date.now()).toISOString()
+    timestamp: new Date(createTime * 1000 || Date.now()).toISOString()
   };
 };
 
@@ -175,7 +221,8 @@ const normalizeFacebookEvent = (rawData) => {
     "comment": "comment",
     "share": "share",
     "follow": "follow",
-    "impression": "impression"
+    "impression": "impression",
+    "click": "click"
   };
   
   return {
@@ -189,17 +236,18 @@ const normalizeFacebookEvent = (rawData) => {
     },
     subject: {
       content_id: post.id,
-      content_type: "post",
+      content_type: post.content_type || "post",
       owner_platform_id: post.from?.id
     },
     metrics: {
-      count: 1
+      // Insight snapshots carry an aggregate count
+      count: rawData.count || 1
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: post.id
+      raw_event_id: buildRawEventId(rawData, user.id, post.id)
     },
-    timestamp: new Date(post.created_time || Date.now()).toISOString()
+    timestamp: new Date(rawData.timestamp || post.created_time || Date.now()).toISOString()
   };
 };
 
@@ -211,6 +259,7 @@ const normalizeThreadsEvent = (rawData) => {
     "like": "engagement",
     "reply": "comment",
     "repost": "share",
+    "quote": "share",
     "follow": "follow",
     "impression": "impression"
   };
@@ -226,21 +275,47 @@ const normalizeThreadsEvent = (rawData) => {
     },
     subject: {
       content_id: post.id,
-      content_type: "post",
+      content_type: post.content_type || "post",
       owner_platform_id: post.author_id
     },
     metrics: {
-      count: 1
+      // Insight snapshots carry an aggregate count
+      count: rawData.count || 1
     },
     metadata: {
       source: rawData.source || "api",
-      raw_event_id: post.id,
+      raw_event_id: buildRawEventId(rawData, user.id, post.id),
       is_verified: user.is_verified
     },
-    timestamp: new Date(post.timestamp || Date.now()).toISOString()
+    timestamp: new Date(rawData.timestamp || post.timestamp || Date.now()).toISOString()
   };
 };
 
+const NORMALIZERS = {
+  twitter: normalizeTwitterEvent,
+  instagram: normalizeInstagramEvent,
+  youtube: normalizeYouTubeEvent,
+  tiktok: normalizeTikTokEvent,
+  facebook: normalizeFacebookEvent,
+  threads: normalizeThreadsEvent
+};
+
+const MAX_RAW_BATCH_SIZE = 1000;
+
+/**
+ * Normalize one native payload for a platform
+ * Throws on unsupported platforms or payloads missing the fields a normalizer needs
+ */
+const normalizeEvent = (platform, rawData) => {
+  const normalizer = NORMALIZERS[String(platform).toLowerCase()];
+  
+  if (!normalizer) {
+    throw new Error(`Unsupported platform: ${platform}`);
+  }
+  
+  return normalizer(rawData);
+};
+
 // Main normalization middleware
 exports.normalizePlatformData = (req, res, next) => {
   try {
@@ -254,36 +329,15 @@ exports.normalizePlatformData = (req, res, next) => {
       });
     }
     
-    let normalizedEvent;
-    
-    switch (platform.toLowerCase()) {
-      case "twitter":
-        normalizedEvent = normalizeTwitterEvent(rawData);
-        break;
-      case "instagram":
-        normalizedEvent = normalizeInstagramEvent(rawData);
-        break;
-      case "youtube":
-        normalizedEvent = normalizeYouTubeEvent(rawData);
-        break;
-      case "tiktok":
-        normalizedEvent = normalizeTikTokEvent(rawData);
-        break;
-      case "facebook":
-        normalizedEvent = normalizeFacebookEvent(rawData);
-        break;
-      case "threads":
-        normalizedEvent = normalizeThreadsEvent(rawData);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: `Unsupported platform: ${platform}`
-        });
+    if (!NORMALIZERS[platform.toLowerCase()]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported platform: ${platform}`
+      });
     }
     
     // Replace request body with normalized event
-    req.body = normalizedEvent;
+    req.body = normalizeEvent(platform, rawData);
     
     next();
     
@@ -297,13 +351,73 @@ exports.normalizePlatformData = (req, res, next) => {
   }
 };
 
+// Batch normalization middleware for /ingest/raw/:platform
+// Accepts a single native payload or { payloads: [...] }. Payloads that fail to
+// normalize don't fail the request: req.body becomes { events } (null for
+// failures) and req.normalizationErrors holds per-index errors.
+exports.normalizeRawPayloads = (req, res, next) => {
+  const { platform } = req.params;
+  
+  if (!NORMALIZERS[String(platform).toLowerCase()]) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported platform: ${platform}`
+    });
+  }
+  
+  const payloads = Array.isArray(req.body?.payloads) ? req.body.payloads : [req.body];
+  
+  if (payloads.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Payloads array cannot be empty"
+    });
+  }
+  
+  if (payloads.length > MAX_RAW_BATCH_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot process more than ${MAX_RAW_BATCH_SIZE} payloads at once`
+    });
+  }
+  
+  const events = [];
+  const normalizationErrors = [];
+  const legacyRawEventIds = [];
+  
+  payloads.forEach((rawData, index) => {
+    try {
+      const event = normalizeEvent(platform, rawData);
+      events.push(event);
+      normalizationErrors.push([]);
+      legacyRawEventIds.push(rawData?.raw_event_id ? null : legacyRawEventId(event.metadata.raw_event_id));
+    } catch (error) {
+      events.push(null);
+      legacyRawEventIds.push(null);
+      normalizationErrors.push([{
+        field: "payload",
+        message: `Failed to normalize ${platform} payload: ${error.message}`
+      }]);
+    }
+  });
+  
+  req.body = { events };
+  req.normalizationErrors = normalizationErrors;
+  req.legacyRawEventIds = legacyRawEventIds;
+  
+  next();
+};
+
 // Export individual normalizers for testing/direct use
 module.exports = {
   normalizePlatformData: exports.normalizePlatformData,
+  normalizeRawPayloads: exports.normalizeRawPayloads,
+  normalizeEvent,
   normalizeTwitterEvent,
   normalizeInstagramEvent,
   normalizeYouTubeEvent,
   normalizeTikTokEvent,
   normalizeFacebookEvent,
-  normalizeThreadsEvent
-};
\ No newline at end of file
+  normalizeThreadsEvent,
+  INSTAGRAM_MEDIA_TYPES
+};
@@ -0,0 +1,40 @@
+// src/middleware/rbac.middleware.js
+const { normalizeRole, hasPermission } = require("../config/roles.config");
+
+/**
+ * Role-based access control.
+ * Must run after authenticateToken, which puts the JWT `role` claim on req.user.
+ */
+
+// Allow the request if the caller holds any of the given roles
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Access denied" });
+  }
+
+  if (!roles.includes(normalizeRole(req.user.role))) {
+    return res.status(403).json({
+      message: "Access denied: insufficient role",
+      required: roles
+    });
+  }
+
+  next();
+};
+
+// Allow the request only if the caller's role grants every given permission
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Access denied" });
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: "Access denied: insufficient permissions",
+      required: missing
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,142 @@
+// src/middleware/webhookSignature.middleware.js
+const crypto = require("crypto");
+const WebhookRejection = require("../schema/webhookRejection.schema");
+
+/**
+ * Per-platform signature schemes. Each signs the raw request body
+ * (captured by captureRawBody in the body parsers) with a shared secret.
+ */
+const SIGNATURE_SCHEMES = {
+  // Meta Graph API: X-Hub-Signature-256: sha256=<hex>
+  instagram: {
+    header: "x-hub-signature-256",
+    secret: () => process.env.INSTAGRAM_APP_SECRET,
+    algorithm: "sha256",
+    encoding: "hex",
+    prefix: "sha256="
+  },
+  // Account Activity API: x-twitter-webhooks-signature: sha256=<base64>
+  twitter: {
+    header: "x-twitter-webhooks-signature",
+    secret: () => process.env.TWITTER_CONSUMER_SECRET,
+    algorithm: "sha256",
+    encoding: "base64",
+    prefix: "sha256="
+  },
+  // PubSubHubbub (hub.secret sent when subscribing): X-Hub-Signature: sha1=<hex>
+  youtube: {
+    header: "x-hub-signature",
+    secret: () => process.env.YOUTUBE_WEBHOOK_SECRET,
+    algorithm: "sha1",
+    encoding: "hex",
+    prefix: "sha1="
+  },
+  // TikTok: Tiktok-Signature: t=<unix seconds>,s=<hex> over "<t>.<raw body>"
+  tiktok: {
+    header: "tiktok-signature",
+    secret: () => process.env.TIKTOK_CLIENT_SECRET,
+    algorithm: "sha256",
+    encoding: "hex",
+    prefix: "",
+    parse: (value) => {
+      const parts = Object.fromEntries(value.split(",").map(part => part.trim().split("=")));
+      return { signature: parts.s, timestamp: parts.t };
+    },
+    signedPayload: (rawBody, { timestamp }) => Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]),
+    toleranceSeconds: 5 * 60
+  }
+};
+
+/**
+ * Body-parser `verify` hook: keep the exact bytes that were signed
+ */
+exports.captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const recordRejection = (platform, reason, req) => {
+  console.warn(`Webhook rejected [${platform}]: ${reason}`, {
+    ip: req.ip,
+    path: req.originalUrl
+  });
+
+  // Counting must never hold up (or fail) the response
+  WebhookRejection.create({
+    platform,
+    reason,
+    ip_address: req.ip,
+    user_agent: req.header("User-Agent"),
+    path: req.originalUrl
+  }).catch(error => console.error("Failed to record webhook rejection:", error.message));
+};
+
+/**
+ * Reject POST deliveries whose signature doesn't match the raw body.
+ * GET handshakes (hub.challenge / crc_token) pass through untouched.
+ */
+exports.verifyWebhookSignature = (platform) => {
+  const scheme = SIGNATURE_SCHEMES[platform];
+  if (!scheme) {
+    throw new Error(`No webhook signature scheme for platform: ${platform}`);
+  }
+
+  return (req, res, next) => {
+    if (req.method === "GET") return next();
+
+    const secret = scheme.secret();
+    if (!secret) {
+      recordRejection(platform, "secret_not_configured", req);
+      return res.status(503).json({
+        success: false,
+        message: "Webhook verification is not configured"
+      });
+    }
+
+    const header = req.header(scheme.header);
+    const { signature, timestamp } = header
+      ? (scheme.parse ? scheme.parse(header) : { signature: header })
+      : {};
+
+    if (!signature) {
+      recordRejection(platform, "missing_signature", req);
+      return res.status(401).json({
+        success: false,
+        message: "Missing webhook signature"
+      });
+    }
+
+    // Timestamped schemes also refuse replays of old deliveries
+    if (scheme.toleranceSeconds) {
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!(age <= scheme.toleranceSeconds)) {
+        recordRejection(platform, "stale_signature", req);
+        return res.status(401).json({
+          success: false,
+          message: "Webhook signature timestamp is outside the allowed window"
+        });
+      }
+    }
+
+    const rawBody = req.rawBody || Buffer.alloc(0);
+    const expected = scheme.prefix + crypto
+      .createHmac(scheme.algorithm, secret)
+      .update(scheme.signedPayload ? scheme.signedPayload(rawBody, { timestamp }) : rawBody)
+      .digest(scheme.encoding);
+
+    if (!safeEqual(signature, expected)) {
+      recordRejection(platform, "invalid_signature", req);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid webhook signature"
+      });
+    }
+
+    next();
+  };
+};
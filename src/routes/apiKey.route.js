@@ -0,0 +1,14 @@
+// src/routes/apiKey.route.js
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("../controllers/apiKey.controller");
+const authenticateToken = require("../middleware/authToken.middleware");
+const { requirePermission } = require("../middleware/rbac.middleware");
+
+router.use(authenticateToken, requirePermission("apikeys:manage"));
+
+router.post("/", apiKeyController.createApiKey);
+router.get("/", apiKeyController.listApiKeys);
+router.delete("/:keyId", apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -12,6 +12,11 @@ router.post("/set-username", authController.setUsername);
 router.post('/check-status', authController.checkStatus);
 router.post('/set-password', authController.setPassword);
 router.post("/login", authController.login);
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+router.post("/refresh", authController.refresh);
+router.post("/logout", authenticateToken, authController.logout);
+router.post("/logout-all", authenticateToken, authController.logoutAll);
 router.get("/protected", authenticateToken, (req, res) => {
   res.json({ message: "This is a protected route", user: req.user });
 });
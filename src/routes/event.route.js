@@ -4,10 +4,14 @@ const router = express.Router();
 const eventController = require("../controllers/event.controller");
 const authenticateToken = require("../middleware/authToken.middleware");
 const eventValidation = require("../middleware/eventValidation.middleware");
+const { requirePermission } = require("../middleware/rbac.middleware");
+const { authenticateApiKey } = require("../middleware/apiKey.middleware");
+const { normalizeRawPayloads } = require("../middleware/platformNormalizer.middleware");
 
-// Public event ingestion (for webhooks, scrapers)
+// Event ingestion for scrapers and partner integrations (API key required)
 router.post(
   "/ingest",
+  authenticateApiKey,
   eventValidation.validateEvent,
   eventController.ingestEvent
 );
@@ -15,32 +19,70 @@ router.post(
 // Batch event ingestion
 router.post(
   "/ingest/batch",
+  authenticateApiKey,
   eventValidation.validateBatchEvents,
   eventController.batchIngestEvents
 );
 
+// Native platform payloads (single or { payloads: [...] }), normalized to canonical events
+router.post(
+  "/ingest/raw/:platform",
+  authenticateApiKey,
+  normalizeRawPayloads,
+  eventValidation.validateBatchEvents,
+  eventController.ingestRawEvents
+);
+
 // Protected routes (require authentication)
 router.get(
   "/user/events",
   authenticateToken,
+  requirePermission("events:read"),
   eventController.getEventsByUser
 );
 
 router.get(
   "/user/summary",
   authenticateToken,
+  requirePermission("events:read"),
   eventController.getEventsSummary
 );
 
+// Cross-tenant: every creator's events on a platform
 router.get(
   "/platform/:platform",
   authenticateToken,
+  requirePermission("events:read:all"),
   eventController.getEventsByPlatform
 );
 
+// Versioning: corrections / retractions append a superseding event
+router.post(
+  "/:eventId/corrections",
+  authenticateToken,
+  requirePermission("events:correct"),
+  eventController.correctEvent
+);
+
+router.post(
+  "/:eventId/retractions",
+  authenticateToken,
+  requirePermission("events:correct"),
+  eventController.retractEvent
+);
+
+// Audit view: full version chain
+router.get(
+  "/:eventId/history",
+  authenticateToken,
+  requirePermission("events:read"),
+  eventController.getEventHistory
+);
+
 router.get(
   "/:eventId",
   authenticateToken,
+  requirePermission("events:read"),
   eventController.getEventById
 );
 
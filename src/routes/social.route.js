@@ -2,11 +2,31 @@
 const express = require("express");
 const passport = require("passport");
 const authenticateToken = require("../middleware/authToken.middleware");
+const { connectionStatus } = require("../utils/tokenManager.utils");
+const { ANALYTICS_SCOPE } = require("../utils/youtubeAnalytics.utils");
 const { 
     getYoutubeAnalytics, 
     disconnectYoutube,
     getInstagramAnalytics,
+    startInstagramAuth,
+    instagramCallback,
+    disconnectInstagram,
     getTwitterAnalytics,
+    startTwitterAuth,
+    twitterCallback,
+    disconnectTwitter,
+    getFacebookAnalytics,
+    startFacebookAuth,
+    facebookCallback,
+    disconnectFacebook,
+    getThreadsAnalytics,
+    startThreadsAuth,
+    threadsCallback,
+    disconnectThreads,
+    getTikTokAnalytics,
+    startTikTokAuth,
+    tiktokCallback,
+    disconnectTikTok,
     getAggregatedAnalytics
 } = require("../controllers/social.controller");
 
@@ -21,55 +41,72 @@ router.get(
     passport.authenticate("youtube-oauth2", {
         scope: [
             "https://www.googleapis.com/auth/youtube.readonly",
+            ANALYTICS_SCOPE,
             "profile",
             "email",
         ],
+        session: false,
     })
 );
 
 router.get(
     "/youtube/callback",
-    passport.authenticate("youtube-oauth2", { failureRedirect: "/login" }),
+    passport.authenticate("youtube-oauth2", { failureRedirect: "/login", session: false }),
     (req, res) => {
+        // Successful authentication, redirect to frontend
         const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
         res.redirect(`${frontendUrl}/dashboard/connected-accounts?success=youtube`);
     }
-  "/youtube/auth",
-  passport.authenticate("youtube-oauth2", {
-    scope: [
-      "https://www.googleapis.com/auth/youtube.readonly",
-      "profile",
-      "email",
-    ],
-    session: false,
-  })
-);
-
-router.get(
-  "/youtube/callback",
-  passport.authenticate("youtube-oauth2", { failureRedirect: "/login", session: false }),
-  (req, res) => {
-    // Successful authentication, redirect to frontend
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}/dashboard/connected-accounts?success=youtube`);
-  }
 );
 
 router.put("/youtube/disconnect", authenticateToken, disconnectYoutube);
 router.get("/analytics/youtube", authenticateToken, getYoutubeAnalytics);
 
 // ============================================
-// INSTAGRAM ANALYTICS (Template)
+// INSTAGRAM OAUTH & ANALYTICS
 // ============================================
 
+router.get("/instagram/auth", authenticateToken, startInstagramAuth);
+router.get("/instagram/callback", instagramCallback);
+router.put("/instagram/disconnect", authenticateToken, disconnectInstagram);
 router.get("/analytics/instagram", authenticateToken, getInstagramAnalytics);
 
 // ============================================
-// TWITTER/X ANALYTICS (Template)
+// TWITTER/X OAUTH 2.0 (PKCE) & ANALYTICS
 // ============================================
 
+router.get("/twitter/auth", authenticateToken, startTwitterAuth);
+router.get("/twitter/callback", twitterCallback);
+router.put("/twitter/disconnect", authenticateToken, disconnectTwitter);
 router.get("/analytics/twitter", authenticateToken, getTwitterAnalytics);
 
+// ============================================
+// FACEBOOK PAGES OAUTH & ANALYTICS
+// ============================================
+
+router.get("/facebook/auth", authenticateToken, startFacebookAuth);
+router.get("/facebook/callback", facebookCallback);
+router.put("/facebook/disconnect", authenticateToken, disconnectFacebook);
+router.get("/analytics/facebook", authenticateToken, getFacebookAnalytics);
+
+// ============================================
+// THREADS OAUTH & ANALYTICS
+// ============================================
+
+router.get("/threads/auth", authenticateToken, startThreadsAuth);
+router.get("/threads/callback", threadsCallback);
+router.put("/threads/disconnect", authenticateToken, disconnectThreads);
+router.get("/analytics/threads", authenticateToken, getThreadsAnalytics);
+
+// ============================================
+// TIKTOK OAUTH & ANALYTICS
+// ============================================
+
+router.get("/tiktok/auth", authenticateToken, startTikTokAuth);
+router.get("/tiktok/callback", tiktokCallback);
+router.put("/tiktok/disconnect", authenticateToken, disconnectTikTok);
+router.get("/analytics/tiktok", authenticateToken, getTikTokAnalytics);
+
 // ============================================
 // AGGREGATED ANALYTICS (From Events)
 // ============================================
@@ -95,34 +132,46 @@ router.get("/platforms/status", authenticateToken, async (req, res) => {
         const status = {
             youtube: {
                 connected: !!(user.youtube && user.youtube.accessToken),
+                status: connectionStatus(user.youtube),
                 channelId: user.youtube?.channelId || null,
                 channelName: user.youtube?.channelName || null,
-                connectedAt: user.youtube?.connectedAt || null
+                connectedAt: user.youtube?.connectedAt || null,
+                tokenExpiresAt: user.youtube?.tokenExpiresAt || null
             },
             instagram: {
                 connected: !!(user.instagram && user.instagram.accessToken),
+                status: connectionStatus(user.instagram),
                 username: user.instagram?.username || null,
-                connectedAt: user.instagram?.connectedAt || null
+                connectedAt: user.instagram?.connectedAt || null,
+                tokenExpiresAt: user.instagram?.tokenExpiresAt || null
             },
             twitter: {
                 connected: !!(user.twitter && user.twitter.accessToken),
+                status: connectionStatus(user.twitter),
                 username: user.twitter?.username || null,
-                connectedAt: user.twitter?.connectedAt || null
+                connectedAt: user.twitter?.connectedAt || null,
+                tokenExpiresAt: user.twitter?.tokenExpiresAt || null
             },
             facebook: {
                 connected: !!(user.facebook && user.facebook.accessToken),
+                status: connectionStatus(user.facebook),
                 username: user.facebook?.username || null,
-                connectedAt: user.facebook?.connectedAt || null
+                connectedAt: user.facebook?.connectedAt || null,
+                tokenExpiresAt: user.facebook?.tokenExpiresAt || null
             },
             tiktok: {
                 connected: !!(user.tiktok && user.tiktok.accessToken),
+                status: connectionStatus(user.tiktok),
                 username: user.tiktok?.username || null,
-                connectedAt: user.tiktok?.connectedAt || null
+                connectedAt: user.tiktok?.connectedAt || null,
+                tokenExpiresAt: user.tiktok?.tokenExpiresAt || null
             },
             threads: {
                 connected: !!(user.threads && user.threads.accessToken),
+                status: connectionStatus(user.threads),
                 username: user.threads?.username || null,
-                connectedAt: user.threads?.connectedAt || null
+                connectedAt: user.threads?.connectedAt || null,
+                tokenExpiresAt: user.threads?.tokenExpiresAt || null
             }
         };
 
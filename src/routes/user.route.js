@@ -3,13 +3,16 @@ const userController = require("../controllers/user.controller");
 const authenticateToken = require("../middleware/authToken.middleware");
 const paginate = require("../middleware/pagination.middleware");
 const upload = require("../middleware/upload.middleware");
+const { requirePermission } = require("../middleware/rbac.middleware");
 
 
 
 const router = express.Router();
 
 router.get("/profile", authenticateToken, userController.getProfile);
-router.get("/all", authenticateToken, paginate, userController.getAllUsers);
+router.get("/pinscore", authenticateToken, userController.getPinscore);
+router.get("/all", authenticateToken, requirePermission("users:read"), paginate, userController.getAllUsers);
+router.put("/:userId/role", authenticateToken, requirePermission("users:manage"), userController.updateUserRole);
 router.put("/update-profile", authenticateToken, upload.single('profilePicture'), userController.updateProfile);
 
 module.exports = router;
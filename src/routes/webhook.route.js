@@ -3,20 +3,34 @@ const express = require("express");
 const router = express.Router();
 const webhookController = require("../controllers/webhook.controller");
 const authenticateToken = require("../middleware/authToken.middleware");
+const paginate = require("../middleware/pagination.middleware");
+const { requirePermission } = require("../middleware/rbac.middleware");
+const { verifyWebhookSignature } = require("../middleware/webhookSignature.middleware");
 
 // YouTube webhooks
 router.get("/youtube", webhookController.handleYouTubeWebhook);
-router.post("/youtube", webhookController.handleYouTubeWebhook);
+router.post("/youtube", verifyWebhookSignature("youtube"), webhookController.handleYouTubeWebhook);
 
 // Instagram webhooks
 router.get("/instagram", webhookController.handleInstagramWebhook);
-router.post("/instagram", webhookController.handleInstagramWebhook);
+router.post("/instagram", verifyWebhookSignature("instagram"), webhookController.handleInstagramWebhook);
 
 // Twitter webhooks
 router.get("/twitter", webhookController.handleTwitterWebhook);
-router.post("/twitter", webhookController.handleTwitterWebhook);
+router.post("/twitter", verifyWebhookSignature("twitter"), webhookController.handleTwitterWebhook);
+
+// TikTok webhooks (no GET handshake; the endpoint is registered in the developer portal)
+router.post("/tiktok", verifyWebhookSignature("tiktok"), webhookController.handleTikTokWebhook);
 
 // Get webhook statistics
-router.get("/stats", authenticateToken, webhookController.getWebhookStats);
+router.get("/stats", authenticateToken, requirePermission("webhooks:stats"), webhookController.getWebhookStats);
+
+// Inbox and dead-letter administration
+const manageWebhooks = [authenticateToken, requirePermission("webhooks:manage")];
+router.get("/inbox", ...manageWebhooks, paginate, webhookController.listInbox);
+router.get("/dead-letters", ...manageWebhooks, paginate, webhookController.listDeadLetters);
+router.get("/dead-letters/:deadLetterId", ...manageWebhooks, webhookController.getDeadLetter);
+router.post("/dead-letters/:deadLetterId/replay", ...manageWebhooks, webhookController.replayDeadLetter);
+router.delete("/dead-letters/:deadLetterId", ...manageWebhooks, webhookController.discardDeadLetter);
 
 module.exports = router;
\ No newline at end of file
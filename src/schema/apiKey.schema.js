@@ -0,0 +1,86 @@
+// src/schema/apiKey.schema.js
+const mongoose = require("mongoose");
+const { VALID_PLATFORMS, VALID_SOURCES } = require("../middleware/eventValidation.middleware");
+
+// Machine-to-machine credentials for event ingestion.
+// Only the SHA-256 hash of the key is stored; the plaintext is shown once on creation.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, safe to display for identification
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // What the key may ingest
+  scopes: {
+    platforms: {
+      type: [{ type: String, enum: VALID_PLATFORMS }],
+      validate: [v => v.length > 0, "At least one platform scope is required"]
+    },
+    sources: {
+      type: [{ type: String, enum: VALID_SOURCES }],
+      validate: [v => v.length > 0, "At least one source scope is required"]
+    }
+  },
+
+  // Events per window; null means unlimited
+  quota: {
+    limit: { type: Number, default: null, min: 1 },
+    windowMs: { type: Number, default: 24 * 60 * 60 * 1000 }
+  },
+  usage: {
+    windowStartedAt: { type: Date, default: Date.now },
+    count: { type: Number, default: 0 },
+    totalEvents: { type: Number, default: 0 }
+  },
+
+  lastUsedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  collection: "api_keys"
+});
+
+apiKeySchema.virtual("isActive").get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Whether this key may ingest the given (canonical) event
+apiKeySchema.methods.allows = function(event) {
+  return this.scopes.platforms.includes(event?.platform) &&
+    this.scopes.sources.includes(event?.metadata?.source);
+};
+
+// Safe representation for API responses (never includes the hash)
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    quota: this.quota,
+    usage: this.usage,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
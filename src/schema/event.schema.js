@@ -1,5 +1,6 @@
 // src/schema/event.schema.js
 const mongoose = require("mongoose");
+const User = require("./user.schema");
 
 // Actor Sub-Schema (Who performed the action)
 const actorSchema = new mongoose.Schema({
@@ -72,6 +73,32 @@ const metadataSchema = new mongoose.Schema({
   },
   ip_address: { 
     type: String 
+  },
+  // ApiKey that ingested the event (absent for webhooks / internal pulls)
+  api_key_id: {
+    type: String
+  }
+}, { _id: false });
+
+// Revision Sub-Schema (Set on corrections and retractions only)
+const revisionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ["correction", "retraction"]
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  root_id: {
+    type: String,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1
   }
 }, { _id: false });
 
@@ -95,7 +122,8 @@ const eventSchema = new mongoose.Schema({
       "share",         // retweets, shares
       "comment",       // comments, replies
       "save",          // bookmarks, saves
-      "click"          // link clicks
+      "click",         // link clicks
+      "watch"          // watch time (metrics.value minutes over metrics.count views)
     ],
     index: true
   },
@@ -142,6 +170,21 @@ const eventSchema = new mongoose.Schema({
     index: true
   },
   
+  // Client-supplied Idempotency-Key (scoped by caller), for events without a raw_event_id
+  idempotency_key: {
+    type: String
+  },
+  
+  // Versioning: a correction or retraction is a new event that supersedes
+  // the previous version by id. Originals have neither field.
+  supersedes: {
+    type: String
+  },
+  
+  revision: {
+    type: revisionSchema
+  },
+  
   // Link to Pinscore user (optional - for attribution)
   pinscore_user_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -159,6 +202,23 @@ eventSchema.index({ "subject.owner_platform_id": 1, timestamp: -1 });
 eventSchema.index({ "actor.platform_user_id": 1, platform: 1 });
 eventSchema.index({ pinscore_user_id: 1, timestamp: -1 });
 
+// Deduplication: one event per platform-native id, and per idempotency key
+eventSchema.index(
+  { platform: 1, "metadata.raw_event_id": 1 },
+  { unique: true, partialFilterExpression: { "metadata.raw_event_id": { $type: "string" } } }
+);
+eventSchema.index(
+  { idempotency_key: 1 },
+  { unique: true, partialFilterExpression: { idempotency_key: { $type: "string" } } }
+);
+
+// Versioning: each version can be superseded at most once (keeps chains linear)
+eventSchema.index(
+  { supersedes: 1 },
+  { unique: true, partialFilterExpression: { supersedes: { $type: "string" } } }
+);
+eventSchema.index({ "revision.root_id": 1, "revision.number": 1 });
+
 // Immutability Enforcement
 eventSchema.pre("save", function(next) {
   if (!this.isNew) {
@@ -176,16 +236,261 @@ eventSchema.pre("updateOne", function(next) {
 });
 
 // Static Methods
-eventSchema.statics.createEvent = async function(eventData) {
+
+// Look up an already-ingested copy of an event by idempotency key or platform-native id
+eventSchema.statics.findDuplicate = function(eventData, idempotencyKey) {
+  const conditions = [];
+  
+  if (idempotencyKey) {
+    conditions.push({ idempotency_key: idempotencyKey });
+  }
+  
+  if (eventData.metadata?.raw_event_id) {
+    conditions.push({
+      platform: eventData.platform,
+      "metadata.raw_event_id": eventData.metadata.raw_event_id
+    });
+  }
+  
+  if (conditions.length === 0) return null;
+  
+  return this.findOne({ $or: conditions });
+};
+
+// Batch counterpart of findDuplicate: one query per kind of key for the whole batch
+// items: [{ eventData, idempotencyKey, legacyRawEventId }] -> array of existing events (or null), index-aligned
+// legacyRawEventId: the key raw payloads without a raw_event_id were stored under before it included a payload hash
+eventSchema.statics.findDuplicatesForBatch = async function(items) {
+  const idempotencyKeys = items.map(item => item.idempotencyKey).filter(Boolean);
+  const rawEventIds = items.map(item => item.eventData.metadata?.raw_event_id).filter(Boolean);
+  const legacyRawEventIds = items.map(item => item.legacyRawEventId).filter(Boolean);
+  
+  const [byKey, byRawId, byLegacyId] = await Promise.all([
+    idempotencyKeys.length
+      ? this.find({ idempotency_key: { $in: idempotencyKeys } }, { id: 1, idempotency_key: 1 }).lean()
+      : [],
+    rawEventIds.length
+      ? this.find({ "metadata.raw_event_id": { $in: rawEventIds } }, { id: 1, platform: 1, "metadata.raw_event_id": 1 }).lean()
+      : [],
+    legacyRawEventIds.length
+      ? this.find(
+        { "metadata.raw_event_id": { $in: legacyRawEventIds } },
+        { id: 1, platform: 1, "metadata.raw_event_id": 1, timestamp: 1, metrics: 1 }
+      ).lean()
+      : []
+  ]);
+  
+  const keyIndex = new Map(byKey.map(event => [event.idempotency_key, event]));
+  const rawIndex = new Map(byRawId.map(event => [`${event.platform}:${event.metadata.raw_event_id}`, event]));
+  const legacyIndex = new Map(byLegacyId.map(event => [`${event.platform}:${event.metadata.raw_event_id}`, event]));
+  
+  // A legacy key only names who did what to which content, so the stored
+  // event must also be the same reading to count as this payload
+  const sameReading = (stored, eventData) => stored &&
+    new Date(stored.timestamp).getTime() === new Date(eventData.timestamp).getTime() &&
+    (stored.metrics?.count ?? null) === (eventData.metrics?.count ?? null) &&
+    (stored.metrics?.value ?? null) === (eventData.metrics?.value ?? null);
+  
+  return items.map(({ eventData, idempotencyKey, legacyRawEventId }) => {
+    const legacy = legacyRawEventId && legacyIndex.get(`${eventData.platform}:${legacyRawEventId}`);
+    
+    return (idempotencyKey && keyIndex.get(idempotencyKey)) ||
+      (eventData.metadata?.raw_event_id && rawIndex.get(`${eventData.platform}:${eventData.metadata.raw_event_id}`)) ||
+      (sameReading(legacy, eventData) ? legacy : null);
+  });
+};
+
+// Idempotent ingestion: returns { event, duplicate }
+eventSchema.statics.ingest = async function(eventData, options = {}) {
   const { v4: uuidv4 } = require("uuid");
+  const { idempotencyKey } = options;
+  
+  const existing = await this.findDuplicate(eventData, idempotencyKey);
+  if (existing) {
+    return { event: existing, duplicate: true };
+  }
   
   const event = new this({
     id: `evt_${uuidv4()}`,
     ...eventData,
+    ...(idempotencyKey && { idempotency_key: idempotencyKey }),
+    ingested_at: new Date()
+  });
+  
+  try {
+    await event.save();
+  } catch (error) {
+    // Lost a race against a concurrent delivery of the same event
+    if (error.code === 11000) {
+      const winner = await this.findDuplicate(eventData, idempotencyKey);
+      if (winner) return { event: winner, duplicate: true };
+    }
+    throw error;
+  }
+  
+  // Keep the owner's eventStats counters in step with the store
+  if (event.pinscore_user_id) {
+    await User.incrementEventStats(
+      event.pinscore_user_id,
+      { [event.platform]: 1 },
+      event.ingested_at
+    );
+  }
+  
+  return { event, duplicate: false };
+};
+
+eventSchema.statics.createEvent = async function(eventData, options = {}) {
+  const { event } = await this.ingest(eventData, options);
+  return event;
+};
+
+// Fields a correction may change (identity, platform and links are fixed)
+const CORRECTABLE_FIELDS = ["type", "actor", "subject", "metrics", "metadata", "timestamp", "pinscore_user_id"];
+
+const revisionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Append a correction or retraction superseding the given event version
+eventSchema.statics.appendRevision = async function(eventId, { kind, reason, changes = {} }) {
+  const { v4: uuidv4 } = require("uuid");
+  
+  const target = await this.findOne({ id: eventId });
+  if (!target) {
+    throw revisionError(404, "Event not found");
+  }
+  
+  if (target.revision?.kind === "retraction") {
+    throw revisionError(409, "Event has been retracted and cannot be revised");
+  }
+  
+  const successor = await this.findOne({ supersedes: eventId }, { id: 1 });
+  if (successor) {
+    throw revisionError(409, `Event has already been superseded by ${successor.id}; revise the latest version instead`);
+  }
+  
+  const base = target.toObject();
+  const next = {};
+  
+  for (const field of CORRECTABLE_FIELDS) {
+    const change = changes[field];
+    const isSubdocument = change && typeof change === "object" && !Array.isArray(change) && !(change instanceof Date);
+    
+    next[field] = isSubdocument ? { ...base[field], ...change } : (change ?? base[field]);
+  }
+  
+  // Dedup keys stay with the original so re-deliveries still resolve to the chain
+  if (next.metadata) delete next.metadata.raw_event_id;
+  
+  const event = new this({
+    ...next,
+    id: `evt_${uuidv4()}`,
+    platform: base.platform,
+    supersedes: target.id,
+    revision: {
+      kind,
+      reason,
+      root_id: target.revision?.root_id || target.id,
+      number: (target.revision?.number || 0) + 1
+    },
     ingested_at: new Date()
   });
   
-  return await event.save();
+  try {
+    await event.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw revisionError(409, "Event was superseded concurrently; revise the latest version instead");
+    }
+    throw error;
+  }
+  
+  // eventStats counts live chains: a retraction removes this one, and a
+  // correction changing pinscore_user_id moves it to the new owner
+  const countedFor = target.pinscore_user_id ? String(target.pinscore_user_id) : null;
+  const nowCountedFor = kind !== "retraction" && event.pinscore_user_id ? String(event.pinscore_user_id) : null;
+  
+  if (countedFor !== nowCountedFor) {
+    if (countedFor) {
+      await User.incrementEventStats(countedFor, { [base.platform]: -1 }, null);
+    }
+    if (nowCountedFor) {
+      await User.incrementEventStats(nowCountedFor, { [base.platform]: 1 }, null);
+    }
+  }
+  
+  return event;
+};
+
+// Full version chain (original first) for any event in it
+eventSchema.statics.findHistory = async function(eventId) {
+  const event = await this.findOne({ id: eventId });
+  if (!event) return null;
+  
+  const rootId = event.revision?.root_id || event.id;
+  
+  return this.find({
+    $or: [{ id: rootId }, { "revision.root_id": rootId }]
+  }).sort({ "revision.number": 1 });
+};
+
+// Latest version in the chain containing the given event
+eventSchema.statics.findLatestVersion = async function(eventId) {
+  const history = await this.findHistory(eventId);
+  return history ? history[history.length - 1] : null;
+};
+
+/**
+ * Aggregation stages that keep only effective versions:
+ * drops events that have been superseded and retraction markers.
+ * Place after a $match so the lookup only runs on candidate events.
+ */
+eventSchema.statics.effectiveVersionStages = function() {
+  return [
+    {
+      $lookup: {
+        from: this.collection.collectionName,
+        localField: "id",
+        foreignField: "supersedes",
+        as: "_successors"
+      }
+    },
+    {
+      $match: {
+        _successors: { $size: 0 },
+        "revision.kind": { $ne: "retraction" }
+      }
+    },
+    { $project: { _successors: 0 } }
+  ];
+};
+
+// find() equivalent that resolves to effective versions
+eventSchema.statics.findEffective = function(query, { sort = { timestamp: -1 }, skip = 0, limit } = {}) {
+  const pipeline = [
+    { $match: this.find(query).cast(this) },
+    ...this.effectiveVersionStages(),
+    { $sort: sort }
+  ];
+  
+  if (skip) pipeline.push({ $skip: skip });
+  if (limit) pipeline.push({ $limit: limit });
+  
+  return this.aggregate(pipeline);
+};
+
+// countDocuments() equivalent that resolves to effective versions
+eventSchema.statics.countEffective = async function(query) {
+  const [result] = await this.aggregate([
+    { $match: this.find(query).cast(this) },
+    ...this.effectiveVersionStages(),
+    { $count: "total" }
+  ]);
+  
+  return result?.total || 0;
 };
 
 eventSchema.statics.queryByPlatform = function(platform, startDate, endDate) {
@@ -0,0 +1,56 @@
+// src/schema/metricSnapshot.schema.js
+const mongoose = require("mongoose");
+
+// Point-in-time cumulative counters of one content item (video, post, profile).
+// A snapshot is written only when a counter changed; consecutive snapshots are
+// turned into delta events by metricSnapshot.utils.
+const metricSnapshotSchema = new mongoose.Schema({
+  pinscore_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: ["twitter", "instagram", "tiktok", "youtube", "facebook", "threads"]
+  },
+  content_id: {
+    type: String,
+    required: true
+  },
+  content_type: {
+    type: String,
+    required: true,
+    enum: ["post", "video", "profile", "story", "reel", "short"]
+  },
+  owner_platform_id: {
+    type: String,
+    required: true
+  },
+  // 1, 2, 3... per content item; unique so concurrent polls can't both extend the chain
+  sequence: {
+    type: Number,
+    required: true
+  },
+  // Counter name -> cumulative value as reported by the platform
+  counters: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  captured_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  collection: "metric_snapshots"
+});
+
+metricSnapshotSchema.index(
+  { pinscore_user_id: 1, platform: 1, content_id: 1, sequence: -1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("MetricSnapshot", metricSnapshotSchema);
@@ -0,0 +1,33 @@
+// src/schema/oauthState.schema.js
+const mongoose = require("mongoose");
+
+// Pending platform OAuth authorization: ties the `state` round-tripped through
+// the provider back to the Pinscore user, and keeps the PKCE verifier server-side
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  platform: {
+    type: String,
+    required: true
+  },
+  codeVerifier: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: "oauth_states"
+});
+
+// Abandoned authorizations disappear on their own
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
@@ -0,0 +1,34 @@
+// src/schema/rateLimit.schema.js
+const mongoose = require("mongoose");
+
+// Shared counters for throttling and lockouts (e.g. "otp:fail:email:<email>").
+// Stored in MongoDB rather than memory so limits hold across instances.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: "rate_limits"
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,50 @@
+// src/schema/session.schema.js
+const mongoose = require("mongoose");
+
+// One document per signed-in device. The refresh token itself is never
+// stored; only its SHA-256 hash, which is rotated on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  device: {
+    deviceId: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ipAddress: { type: String, default: null }
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "logout_all", "replaced", "reuse_detected", "password_reset", null],
+    default: null
+  }
+}, {
+  collection: "sessions"
+});
+
+sessionSchema.index({ user: 1, "device.deviceId": 1, revokedAt: 1 });
+
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual("isActive").get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,5 +1,29 @@
 // src/schema/user.schema.js (Updated with Event Attribution)
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/roles.config");
+const { encryptToken, decryptToken } = require("../utils/tokenCrypto.utils");
+
+// A credential that can't be decrypted (unknown key, tampered value) reads as missing
+const readCredential = (value, schemaType) => {
+  try {
+    return decryptToken(value);
+  } catch (error) {
+    console.error(`Unable to decrypt ${schemaType.path}:`, error.message);
+    return null;
+  }
+};
+
+// Platform credentials are envelope-encrypted at rest (see utils/tokenCrypto.utils.js)
+const credential = () => ({ type: String, set: encryptToken, get: readCredential });
+
+// Token lifecycle, tracked per platform connection by utils/tokenManager.utils.js
+const tokenState = () => ({
+  tokenExpiresAt: Date,
+  // Unset means active; needs_reauth once a refresh was refused
+  authStatus: { type: String, enum: ["active", "needs_reauth"] },
+  authError: String,
+  tokenRefreshLockedUntil: Date
+});
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -25,9 +49,23 @@ const userSchema = new mongoose.Schema({
     url: { type: String, default: null },
     public_id: { type: String, default: null }
   },
-  otp: String,
+  otp: String, // SHA-256 hash of the pending verification code
   otpExpiration: Date,
+
+  // Password reset (code is stored as a SHA-256 hash, never in plaintext)
+  passwordReset: {
+    codeHash: String,
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+    requestedAt: Date
+  },
+
   isAdmin: { type: Boolean, default: false },
+  // Unset for accounts created before roles existed; see getRole()
+  role: {
+    type: String,
+    enum: Object.values(ROLES)
+  },
   isVerified: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 
@@ -35,15 +73,20 @@ const userSchema = new mongoose.Schema({
   twitter: {
     id: String,
     username: String,
-    accessToken: String,
-    refreshToken: String,
+    accessToken: credential(),
+    refreshToken: credential(),
+    ...tokenState(),
     connectedAt: Date
   },
 
   instagram: {
     id: String,
     username: String,
-    accessToken: String,
+    accountType: String,
+    // Long-lived (60 day) token, refreshed before it expires
+    accessToken: credential(),
+    tokenIssuedAt: Date,
+    ...tokenState(),
     connectedAt: Date
   },
 
@@ -51,30 +94,47 @@ const userSchema = new mongoose.Schema({
     channelId: String,
     channelName: String,
     username: String,
-    accessToken: String,
-    refreshToken: String,
-    connectedAt: Date
+    accessToken: credential(),
+    refreshToken: credential(),
+    ...tokenState(),
+    connectedAt: Date,
+    // Last per-video sync (youtubeVideoSync.utils)
+    videosSyncedAt: Date,
+    // PubSubHubbub push subscription for the channel's uploads feed
+    subscription: {
+      status: { type: String, enum: ["pending", "active", "failed"] },
+      requestedAt: Date,
+      leaseExpiresAt: Date,
+      lastError: String
+    }
   },
 
+  // Facebook Page (id/accessToken are the Page's, not the person's)
   facebook: {
     id: String,
     username: String,
-    accessToken: String,
+    pageName: String,
+    accessToken: credential(),
+    ...tokenState(),
     connectedAt: Date
   },
 
   tiktok: {
     id: String,
     username: String,
-    accessToken: String,
-    refreshToken: String,
+    accessToken: credential(),
+    refreshToken: credential(),
+    refreshTokenExpiresAt: Date,
+    ...tokenState(),
     connectedAt: Date
   },
 
   threads: {
     id: String,
     username: String,
-    accessToken: String,
+    accessToken: credential(),
+    tokenIssuedAt: Date,
+    ...tokenState(),
     connectedAt: Date
   },
 
@@ -100,6 +160,24 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Credential paths, never serialized (API responses, logs)
+const CREDENTIAL_PATHS = Object.keys(userSchema.paths)
+  .filter(path => /\.(accessToken|refreshToken)$/.test(path));
+
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    for (const path of CREDENTIAL_PATHS) {
+      const [platform, field] = path.split(".");
+      if (ret[platform]) delete ret[platform][field];
+    }
+    return ret;
+  }
+});
+
+userSchema.statics.credentialPaths = function() {
+  return CREDENTIAL_PATHS;
+};
+
 // Indexes for event attribution
 userSchema.index({ "twitter.id": 1 });
 userSchema.index({ "instagram.id": 1 });
@@ -108,6 +186,54 @@ userSchema.index({ "facebook.id": 1 });
 userSchema.index({ "tiktok.id": 1 });
 userSchema.index({ "threads.id": 1 });
 
+// Field holding each platform's account id (YouTube is keyed by channel)
+const PLATFORM_ID_FIELDS = {
+  twitter: "twitter.id",
+  instagram: "instagram.id",
+  youtube: "youtube.channelId",
+  facebook: "facebook.id",
+  tiktok: "tiktok.id",
+  threads: "threads.id"
+};
+
+userSchema.statics.platformIdField = function(platform) {
+  return PLATFORM_ID_FIELDS[platform];
+};
+
+// Resolve event owners in one query
+// Returns a Map of "<platform>:<owner_platform_id>" -> user _id
+userSchema.statics.findOwnersForEvents = async function(events) {
+  const idsByPlatform = {};
+
+  for (const event of events) {
+    const ownerId = event.subject?.owner_platform_id;
+    if (!ownerId || !PLATFORM_ID_FIELDS[event.platform]) continue;
+
+    if (!idsByPlatform[event.platform]) idsByPlatform[event.platform] = new Set();
+    idsByPlatform[event.platform].add(String(ownerId));
+  }
+
+  const conditions = Object.entries(idsByPlatform).map(([platform, ids]) => ({
+    [PLATFORM_ID_FIELDS[platform]]: { $in: [...ids] }
+  }));
+
+  const owners = new Map();
+  if (conditions.length === 0) return owners;
+
+  const users = await this.find({ $or: conditions })
+    .select(Object.values(PLATFORM_ID_FIELDS).join(" "))
+    .lean();
+
+  for (const user of users) {
+    for (const [platform, field] of Object.entries(PLATFORM_ID_FIELDS)) {
+      const platformId = field.split(".").reduce((value, key) => value?.[key], user);
+      if (platformId) owners.set(`${platform}:${platformId}`, user._id);
+    }
+  }
+
+  return owners;
+};
+
 // Virtual to check if user has any connected platforms
 userSchema.virtual("hasConnectedPlatforms").get(function() {
   return !!(
@@ -120,6 +246,19 @@ userSchema.virtual("hasConnectedPlatforms").get(function() {
   );
 });
 
+// Keep the legacy isAdmin flag in step with the role
+userSchema.pre("save", function(next) {
+  if (this.isModified("role")) {
+    this.isAdmin = this.role === ROLES.ADMIN;
+  }
+  next();
+});
+
+// Effective role (falls back to the legacy isAdmin flag)
+userSchema.methods.getRole = function() {
+  return this.role || (this.isAdmin ? ROLES.ADMIN : ROLES.CREATOR);
+};
+
 // Method to get all connected platform IDs
 userSchema.methods.getConnectedPlatformIds = function () {
   return {
@@ -132,13 +271,49 @@ userSchema.methods.getConnectedPlatformIds = function () {
   };
 };
 
+// Atomically add ingested event counts to a user's eventStats
+// platformCounts: { youtube: 3, twitter: 1, ... } (negative to remove events)
+// Pass ingestedAt = null when nothing new was ingested (e.g. a retraction)
+userSchema.statics.incrementEventStats = function(userId, platformCounts, ingestedAt = new Date()) {
+  const inc = { "eventStats.totalEvents": 0 };
+
+  for (const [platform, count] of Object.entries(platformCounts)) {
+    inc[`eventStats.platformBreakdown.${platform}`] = count;
+    inc["eventStats.totalEvents"] += count;
+  }
+
+  return this.updateOne(
+    { _id: userId },
+    {
+      $inc: inc,
+      ...(ingestedAt && { $max: { "eventStats.lastEventIngested": ingestedAt } })
+    }
+  );
+};
+
+// Apply eventStats for a set of newly ingested events (one write per user)
+userSchema.statics.applyEventStats = async function(events) {
+  const byUser = new Map();
+
+  for (const event of events) {
+    if (!event.pinscore_user_id) continue;
+
+    const key = String(event.pinscore_user_id);
+    const entry = byUser.get(key) || { platformCounts: {}, ingestedAt: event.ingested_at };
+    entry.platformCounts[event.platform] = (entry.platformCounts[event.platform] || 0) + 1;
+    if (event.ingested_at > entry.ingestedAt) entry.ingestedAt = event.ingested_at;
+    byUser.set(key, entry);
+  }
+
+  await Promise.all([...byUser.entries()].map(([userId, { platformCounts, ingestedAt }]) =>
+    this.incrementEventStats(userId, platformCounts, ingestedAt)
+  ));
+};
+
 // Method to update event stats (called after event ingestion)
 userSchema.methods.updateEventStats = async function(platform) {
-  this.eventStats.totalEvents += 1;
-  this.eventStats.platformBreakdown[platform] += 1;
-  this.eventStats.lastEventIngested = new Date();
-  
-  return await this.save();
+  await this.constructor.incrementEventStats(this._id, { [platform]: 1 });
+  return this;
 };
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,45 @@
+// src/schema/webhookDeadLetter.schema.js
+const mongoose = require("mongoose");
+
+// Webhook deliveries that exhausted their retries (or can never succeed).
+// Kept until an admin replays or discards them.
+const webhookDeadLetterSchema = new mongoose.Schema({
+  // The delivery's inbox entry; one dead letter per delivery
+  inbox_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    index: true
+  },
+  content_type: String,
+  payload: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ["max_attempts", "non_retryable"]
+  },
+  attempts: Number,
+  failures: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    failed_at: Date
+  }],
+  received_at: Date,
+  dead_lettered_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: "webhook_dead_letters"
+});
+
+module.exports = mongoose.model("WebhookDeadLetter", webhookDeadLetterSchema);
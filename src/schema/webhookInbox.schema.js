@@ -0,0 +1,60 @@
+// src/schema/webhookInbox.schema.js
+const mongoose = require("mongoose");
+
+// One failed processing attempt
+const failureSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  failed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Inbound webhook deliveries, stored raw before they are acknowledged
+// and processed asynchronously (see utils/webhookInbox.utils.js)
+const webhookInboxSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true,
+    index: true
+  },
+  content_type: String,
+  // Body exactly as received (and signed)
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "processed"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  // A "processing" entry whose lock expired is picked up again (worker crashed mid-attempt)
+  locked_until: Date,
+  failures: [failureSchema],
+  // Dead letter this delivery was replayed from
+  replayed_from: mongoose.Schema.Types.ObjectId,
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  processed_at: Date
+}, {
+  collection: "webhook_inbox"
+});
+
+webhookInboxSchema.index({ status: 1, next_attempt_at: 1 });
+
+// Keep processed deliveries for 7 days
+webhookInboxSchema.index({ processed_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("WebhookInbox", webhookInboxSchema);
@@ -0,0 +1,30 @@
+// src/schema/webhookRejection.schema.js
+const mongoose = require("mongoose");
+
+// Log of webhook deliveries refused by signature verification
+const webhookRejectionSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ["missing_signature", "invalid_signature", "stale_signature", "secret_not_configured"]
+  },
+  ip_address: String,
+  user_agent: String,
+  path: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: "webhook_rejections"
+});
+
+// Keep 30 days of rejections
+webhookRejectionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("WebhookRejection", webhookRejectionSchema);
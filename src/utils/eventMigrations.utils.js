@@ -0,0 +1,113 @@
+// src/utils/eventMigrations.utils.js
+// One-off repairs of events stored by earlier versions of the ingestion code.
+const Event = require("../schema/event.schema");
+
+/**
+ * Make (platform, metadata.raw_event_id) unique so the unique dedup index can be built.
+ *
+ * 1. Twitter favourites stored by the webhook before likes were keyed per liker used
+ *    the bare tweet id, so every like of a tweet shares one raw id. They are re-keyed
+ *    to the current `fav_<likerId>_<tweetId>`.
+ * 2. Any raw id still stored on more than one event is the same platform event
+ *    ingested again (a redelivery or a repeated pull). The earliest ingested copy is
+ *    kept and the later copies are deleted.
+ *
+ * The collection is written directly: the model's immutability hooks reject
+ * updates and deletes. Returns { rekeyed, removed }.
+ */
+exports.dedupeRawEventIds = async () => {
+  const legacyFavourites = await Event.find({
+    platform: "twitter",
+    type: "engagement",
+    "metadata.source": "webhook",
+    $expr: { $eq: ["$metadata.raw_event_id", "$subject.content_id"] }
+  }, { _id: 1, actor: 1, subject: 1 }).lean();
+
+  for (const event of legacyFavourites) {
+    await Event.collection.updateOne(
+      { _id: event._id },
+      { $set: { "metadata.raw_event_id": `fav_${event.actor.platform_user_id}_${event.subject.content_id}` } }
+    );
+  }
+
+  const groups = await Event.aggregate([
+    { $match: { "metadata.raw_event_id": { $type: "string" } } },
+    { $sort: { ingested_at: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { platform: "$platform", raw: "$metadata.raw_event_id" },
+        ids: { $push: "$_id" }
+      }
+    },
+    { $match: { "ids.1": { $exists: true } } }
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+
+  for (const { ids } of groups) {
+    const { deletedCount } = await Event.collection.deleteMany({ _id: { $in: ids.slice(1) } });
+    removed += deletedCount;
+  }
+
+  return { rekeyed: legacyFavourites.length, removed };
+};
+
+// Lifetime counters used to be stored once per item per day, keyed
+// <prefix>_<metric>_<id>_<YYYY-MM-DD>, so summing them counted each item again
+// every day. They are now snapshot deltas keyed by sequence number. Daily account
+// and Page insights, and YouTube Analytics (yt_daily_*), are true per-day values
+// and don't match.
+const DAILY_LIFETIME_COUNTERS = [
+  { platform: "twitter", rawEventId: /^tw_(impressions|likes|replies|shares|bookmarks|clicks)_.+_\d{4}-\d{2}-\d{2}$/ },
+  { platform: "instagram", rawEventId: /^ig_(views|likes|comments|replies|saved|shares)_.+_\d{4}-\d{2}-\d{2}$/ },
+  { platform: "facebook", rawEventId: /^fb_(post_impressions|reactions|comments|shares|post_clicks)_.+_\d{4}-\d{2}-\d{2}$/ },
+  { platform: "threads", rawEventId: /^th_(views|likes|replies|reposts|quotes)_.+_\d{4}-\d{2}-\d{2}$/ },
+  { platform: "tiktok", rawEventId: /^tt_(views|likes|comments|shares)_.+_\d{4}-\d{2}-\d{2}$/ },
+  // Channel totals, before the YouTube Analytics report replaced them
+  { platform: "youtube", rawEventId: /^yt_(views|subs|comments)_.+_\d{4}-\d{2}-\d{2}$/ }
+];
+
+/**
+ * Retract the latest version of the chain containing the given event.
+ * Returns false when the chain is already retracted or was revised meanwhile.
+ */
+const retractLatest = async (eventId, reason) => {
+  const latest = await Event.findLatestVersion(eventId);
+  if (!latest || latest.revision?.kind === "retraction") return false;
+
+  try {
+    await Event.appendRevision(latest.id, { kind: "retraction", reason });
+    return true;
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    return false;
+  }
+};
+
+/**
+ * Retract the daily lifetime-counter events listed in DAILY_LIFETIME_COUNTERS.
+ * Only originals carry a raw id, so corrected chains are found through them and
+ * retracted at their latest version. Safe to run again.
+ * Returns { found, retracted }; chains revised concurrently are skipped.
+ */
+exports.retractDailyCounterEvents = async () => {
+  const cursor = Event.find({
+    "metadata.source": "api",
+    $or: DAILY_LIFETIME_COUNTERS.map(({ platform, rawEventId }) => ({
+      platform,
+      "metadata.raw_event_id": rawEventId
+    }))
+  }, { id: 1 }).lean().cursor();
+
+  let found = 0;
+  let retracted = 0;
+
+  for await (const event of cursor) {
+    found++;
+    if (await retractLatest(event.id, "Lifetime counter stored daily; replaced by snapshot deltas")) {
+      retracted++;
+    }
+  }
+
+  return { found, retracted };
+};
@@ -0,0 +1,90 @@
+// src/utils/eventStats.utils.js
+const mongoose = require("mongoose");
+const Event = require("../schema/event.schema");
+const User = require("../schema/user.schema");
+
+const PLATFORMS = ["twitter", "instagram", "youtube", "facebook", "tiktok", "threads"];
+
+/**
+ * Recompute user.eventStats from the events collection.
+ * Counts the same thing ingestion and revisions maintain: one per live event
+ * chain, attributed to its effective version's user. Corrections don't add to
+ * the count and retracted chains are left out; lastEventIngested is the latest
+ * original ingestion, retracted or not.
+ * Counters are overwritten, so run it while ingestion is quiet.
+ * Returns the number of users updated.
+ */
+exports.rebuildEventStats = async ({ userId } = {}) => {
+  const owner = userId ? new mongoose.Types.ObjectId(userId) : { $ne: null };
+
+  const rows = await Event.aggregate([
+    { $match: { pinscore_user_id: owner } },
+    ...Event.effectiveVersionStages(),
+    {
+      $group: {
+        _id: { user: "$pinscore_user_id", platform: "$platform" },
+        count: { $sum: 1 }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const ingestions = await Event.aggregate([
+    { $match: { pinscore_user_id: owner, revision: { $exists: false } } },
+    {
+      $group: {
+        _id: "$pinscore_user_id",
+        lastEventIngested: { $max: "$ingested_at" }
+      }
+    }
+  ]);
+
+  const stats = new Map();
+
+  const entryFor = (key) => {
+    if (!stats.has(key)) {
+      stats.set(key, {
+        totalEvents: 0,
+        lastEventIngested: null,
+        platformBreakdown: Object.fromEntries(PLATFORMS.map(platform => [platform, 0]))
+      });
+    }
+    return stats.get(key);
+  };
+
+  for (const { _id, count } of rows) {
+    const entry = entryFor(String(_id.user));
+    entry.totalEvents += count;
+    entry.platformBreakdown[_id.platform] = count;
+  }
+
+  for (const { _id, lastEventIngested } of ingestions) {
+    entryFor(String(_id)).lastEventIngested = lastEventIngested;
+  }
+
+  const emptyStats = {
+    totalEvents: 0,
+    lastEventIngested: null,
+    platformBreakdown: Object.fromEntries(PLATFORMS.map(platform => [platform, 0]))
+  };
+
+  // Users with no events are reset too
+  const userIds = userId
+    ? [userId]
+    : (await User.find().select("_id").lean()).map(user => user._id);
+
+  let updated = 0;
+
+  for (let i = 0; i < userIds.length; i += 500) {
+    const operations = userIds.slice(i, i + 500).map(id => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { eventStats: stats.get(String(id)) || emptyStats } }
+      }
+    }));
+
+    const result = await User.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
@@ -0,0 +1,143 @@
+// src/utils/facebookApi.utils.js
+const axios = require("axios");
+
+const GRAPH_VERSION = "v19.0";
+const AUTHORIZE_URL = `https://www.facebook.com/${GRAPH_VERSION}/dialog/oauth`;
+const GRAPH_BASE = `https://graph.facebook.com/${GRAPH_VERSION}`;
+
+const SCOPES = ["pages_show_list", "pages_read_engagement", "read_insights"];
+
+// Page-level daily insights (post engagement is counted per post instead)
+const PAGE_METRICS = ["page_impressions", "page_fan_adds", "page_views_total"];
+
+// Lifetime insights per post; reactions, comments and shares come from the post fields
+const POST_METRICS = ["post_impressions", "post_clicks"];
+
+const graph = axios.create({ baseURL: GRAPH_BASE });
+
+exports.buildAuthorizeUrl = (state) => {
+  const params = new URLSearchParams({
+    client_id: process.env.FACEBOOK_APP_ID,
+    redirect_uri: process.env.FACEBOOK_REDIRECT_URI,
+    response_type: "code",
+    scope: SCOPES.join(","),
+    state
+  });
+
+  return `${AUTHORIZE_URL}?${params}`;
+};
+
+/**
+ * Authorization code -> short-lived user token -> long-lived user token.
+ * Page tokens issued from a long-lived user token don't expire.
+ */
+exports.exchangeCode = async (code) => {
+  const shortLived = (await graph.get("/oauth/access_token", {
+    params: {
+      client_id: process.env.FACEBOOK_APP_ID,
+      client_secret: process.env.FACEBOOK_APP_SECRET,
+      redirect_uri: process.env.FACEBOOK_REDIRECT_URI,
+      code
+    }
+  })).data;
+
+  const response = await graph.get("/oauth/access_token", {
+    params: {
+      grant_type: "fb_exchange_token",
+      client_id: process.env.FACEBOOK_APP_ID,
+      client_secret: process.env.FACEBOOK_APP_SECRET,
+      fb_exchange_token: shortLived.access_token
+    }
+  });
+
+  return response.data.access_token;
+};
+
+/**
+ * Pages the person granted us, each with its own Page access token
+ */
+exports.getPages = async (userAccessToken) => {
+  const response = await graph.get("/me/accounts", {
+    params: {
+      fields: "id,name,username,access_token,followers_count",
+      access_token: userAccessToken
+    }
+  });
+  return response.data.data || [];
+};
+
+exports.getPage = async (pageId, pageAccessToken) => {
+  const response = await graph.get(`/${pageId}`, {
+    params: {
+      fields: "id,name,username,followers_count,fan_count",
+      access_token: pageAccessToken
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Page daily insights. Each metric's values cover the most recent days,
+ * each with the end_time of its day.
+ */
+exports.getPageInsights = async (pageId, pageAccessToken) => {
+  const response = await graph.get(`/${pageId}/insights`, {
+    params: {
+      metric: PAGE_METRICS.join(","),
+      period: "day",
+      access_token: pageAccessToken
+    }
+  });
+
+  return response.data.data || [];
+};
+
+/**
+ * Recent Page posts with engagement counts and insights as { metric: value }.
+ * Posts whose insights are unavailable keep empty insights.
+ */
+exports.getPostInsights = async (pageId, pageAccessToken, { limit = 25 } = {}) => {
+  const response = await graph.get(`/${pageId}/posts`, {
+    params: {
+      fields: [
+        "id",
+        "message",
+        "created_time",
+        "permalink_url",
+        "status_type",
+        "shares",
+        "reactions.summary(total_count).limit(0)",
+        "comments.summary(total_count).limit(0)"
+      ].join(","),
+      limit,
+      access_token: pageAccessToken
+    }
+  });
+
+  const posts = response.data.data || [];
+
+  return Promise.all(posts.map(async (post) => {
+    let insights = {};
+
+    try {
+      const insightResponse = await graph.get(`/${post.id}/insights`, {
+        params: { metric: POST_METRICS.join(","), access_token: pageAccessToken }
+      });
+      insights = Object.fromEntries(
+        insightResponse.data.data.map(insight => [insight.name, insight.values?.[0]?.value || 0])
+      );
+    } catch (error) {
+      console.warn(`Facebook insights unavailable for post ${post.id}:`, error.response?.data?.error?.message || error.message);
+    }
+
+    return {
+      ...post,
+      insights: {
+        ...insights,
+        reactions: post.reactions?.summary?.total_count || 0,
+        comments: post.comments?.summary?.total_count || 0,
+        shares: post.shares?.count || 0
+      }
+    };
+  }));
+};
@@ -0,0 +1,129 @@
+// src/utils/instagramApi.utils.js
+const axios = require("axios");
+
+const AUTHORIZE_URL = "https://www.instagram.com/oauth/authorize";
+const TOKEN_URL = "https://api.instagram.com/oauth/access_token";
+const GRAPH_BASE = "https://graph.instagram.com";
+
+const SCOPES = ["instagram_business_basic", "instagram_business_manage_insights"];
+
+// Insight metrics available per media product type
+const MEDIA_METRICS = {
+  FEED: ["reach", "likes", "comments", "saved", "shares"],
+  REELS: ["reach", "likes", "comments", "saved", "shares", "views"],
+  STORY: ["reach", "replies", "shares", "views"]
+};
+
+const graph = axios.create({ baseURL: GRAPH_BASE });
+
+const toTokens = (data) => ({
+  accessToken: data.access_token,
+  tokenIssuedAt: new Date(),
+  tokenExpiresAt: new Date(Date.now() + (data.expires_in || 60 * 24 * 60 * 60) * 1000)
+});
+
+exports.buildAuthorizeUrl = (state) => {
+  const params = new URLSearchParams({
+    client_id: process.env.INSTAGRAM_APP_ID,
+    redirect_uri: process.env.INSTAGRAM_REDIRECT_URI,
+    response_type: "code",
+    scope: SCOPES.join(","),
+    state
+  });
+
+  return `${AUTHORIZE_URL}?${params}`;
+};
+
+/**
+ * Authorization code -> short-lived token -> long-lived (60 day) token
+ */
+exports.exchangeCode = async (code) => {
+  const form = new URLSearchParams({
+    client_id: process.env.INSTAGRAM_APP_ID,
+    client_secret: process.env.INSTAGRAM_APP_SECRET,
+    grant_type: "authorization_code",
+    redirect_uri: process.env.INSTAGRAM_REDIRECT_URI,
+    code
+  });
+  const shortLived = (await axios.post(TOKEN_URL, form)).data;
+
+  const response = await graph.get("/access_token", {
+    params: {
+      grant_type: "ig_exchange_token",
+      client_secret: process.env.INSTAGRAM_APP_SECRET,
+      access_token: shortLived.access_token
+    }
+  });
+
+  return toTokens(response.data);
+};
+
+/**
+ * Long-lived tokens last 60 days and can be refreshed once they are a day old
+ * (scheduled by tokenManager.utils)
+ */
+exports.refreshLongLivedToken = async (accessToken) => {
+  const response = await graph.get("/refresh_access_token", {
+    params: { grant_type: "ig_refresh_token", access_token: accessToken }
+  });
+  return toTokens(response.data);
+};
+
+exports.getProfile = async (accessToken) => {
+  const response = await graph.get("/me", {
+    params: {
+      fields: "user_id,username,account_type,followers_count,media_count",
+      access_token: accessToken
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Account-level daily insights. Each metric's values cover the most recent days,
+ * each with the end_time of its day.
+ */
+exports.getAccountInsights = async (accessToken) => {
+  const response = await graph.get("/me/insights", {
+    params: {
+      metric: "impressions,reach,profile_views",
+      period: "day",
+      access_token: accessToken
+    }
+  });
+  return response.data.data;
+};
+
+/**
+ * Recent media with per-media insights as { metric: value }.
+ * Media whose insights are unavailable (e.g. expired stories) keep empty insights.
+ */
+exports.getMediaInsights = async (accessToken, { limit = 25 } = {}) => {
+  const response = await graph.get("/me/media", {
+    params: {
+      fields: "id,caption,media_type,media_product_type,permalink,timestamp,like_count,comments_count",
+      limit,
+      access_token: accessToken
+    }
+  });
+
+  const media = response.data.data || [];
+
+  return Promise.all(media.map(async (item) => {
+    const metrics = MEDIA_METRICS[item.media_product_type] || MEDIA_METRICS.FEED;
+    let insights = {};
+
+    try {
+      const insightResponse = await graph.get(`/${item.id}/insights`, {
+        params: { metric: metrics.join(","), access_token: accessToken }
+      });
+      insights = Object.fromEntries(
+        insightResponse.data.data.map(insight => [insight.name, insight.values?.[0]?.value ?? insight.total_value?.value ?? 0])
+      );
+    } catch (error) {
+      console.warn(`Instagram insights unavailable for media ${item.id}:`, error.response?.data?.error?.message || error.message);
+    }
+
+    return { ...item, insights };
+  }));
+};
@@ -0,0 +1,106 @@
+// src/utils/metricSnapshot.utils.js
+// Polled platforms report cumulative counters (lifetime views, likes, followers).
+// Each poll is stored as a snapshot and compared with the previous one, so the
+// event store only receives what changed in between.
+const MetricSnapshot = require("../schema/metricSnapshot.schema");
+
+/**
+ * Changes between two sets of cumulative counters:
+ * [{ metric, from, to, delta }]
+ *
+ * - Counters missing from `current` (hidden, not reported) produce nothing.
+ * - Counters missing from `previous` are a baseline: delta 0, so a lifetime
+ *   total seen for the first time isn't recorded as new activity. With
+ *   `backfill` they count from zero instead.
+ * - Decreases give a negative delta, however large: a drop alone can't tell
+ *   a recount from real unlikes / unfollows, so a platform recount is
+ *   recorded as the drop it looks like.
+ */
+exports.diffCounters = (previous = {}, current = {}, { backfill = false } = {}) => {
+  const changes = [];
+
+  for (const [metric, to] of Object.entries(current)) {
+    if (typeof to !== "number" || !Number.isFinite(to)) continue;
+
+    if (typeof previous[metric] !== "number") {
+      changes.push({ metric, from: null, to, delta: backfill ? to : 0 });
+      continue;
+    }
+
+    const from = previous[metric];
+    if (to === from) continue;
+
+    changes.push({ metric, from, to, delta: to - from });
+  }
+
+  return changes;
+};
+
+/**
+ * Store the counters of one content item if any of them changed since its
+ * latest snapshot, and return the changes.
+ *
+ * subject: { content_id, content_type, owner_platform_id }
+ * `emit(changes, { sequence, capturedAt })` writes the events for the changes.
+ * It runs before the snapshot is stored: if it fails the snapshot isn't
+ * advanced, and the retry diffs against the same snapshot with the same
+ * sequence, so events keyed by sequence dedupe instead of being lost.
+ *
+ * Returns { sequence, capturedAt, changes }; `changes` is empty when nothing
+ * changed, the item was seen for the first time (unless `backfill`), or a
+ * concurrent poll recorded the same step first. `backfill` is passed to
+ * diffCounters.
+ */
+exports.recordSnapshot = async ({ userId, platform, subject, counters, capturedAt = new Date(), backfill = false, emit }) => {
+  const latest = await MetricSnapshot.findOne({
+    pinscore_user_id: userId,
+    platform,
+    content_id: subject.content_id
+  }).sort({ sequence: -1 }).lean();
+
+  const previous = latest?.counters || {};
+  const changes = exports.diffCounters(previous, counters, { backfill });
+  const sequence = (latest?.sequence || 0) + 1;
+
+  if (changes.length === 0) {
+    return { sequence: latest?.sequence || 0, capturedAt, changes };
+  }
+
+  const deltas = changes.filter(change => change.delta !== 0);
+  if (emit && deltas.length > 0) {
+    await emit(deltas, { sequence, capturedAt });
+  }
+
+  // Counters not reported this time keep their last known value
+  const reported = Object.fromEntries(
+    Object.entries(counters).filter(([, value]) => typeof value === "number" && Number.isFinite(value))
+  );
+
+  try {
+    await MetricSnapshot.create({
+      pinscore_user_id: userId,
+      platform,
+      ...subject,
+      sequence,
+      counters: { ...previous, ...reported },
+      captured_at: capturedAt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { sequence, capturedAt, changes: [] };
+    }
+    throw error;
+  }
+
+  return { sequence, capturedAt, changes: deltas };
+};
+
+/**
+ * Counters from `source` for the given names (undefined and null values dropped,
+ * so a withheld counter isn't read as 0)
+ */
+exports.pickCounters = (source, names) => {
+  return Object.fromEntries(
+    names.filter(name => source?.[name] != null).map(name => [name, Number(source[name])])
+  );
+};
@@ -0,0 +1,56 @@
+// src/utils/oauth.utils.js
+const crypto = require("crypto");
+const OAuthState = require("../schema/oauthState.schema");
+const { hashToken } = require("./session.utils");
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * PKCE (RFC 7636) verifier and its S256 challenge
+ */
+exports.createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(48).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Start an authorization for a user. Returns the opaque `state` to send to the provider.
+ */
+exports.createOAuthState = async (userId, platform, { codeVerifier } = {}) => {
+  const state = crypto.randomBytes(32).toString("base64url");
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    user: userId,
+    platform,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return state;
+};
+
+/**
+ * Redeem a `state` from a provider callback (single use).
+ * Returns { user, codeVerifier } or null when unknown, expired or for another platform.
+ */
+exports.consumeOAuthState = async (state, platform) => {
+  if (!state) return null;
+
+  const record = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    platform,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return record ? { user: record.user, codeVerifier: record.codeVerifier } : null;
+};
+
+/**
+ * Where provider callbacks send the browser back to
+ */
+exports.connectedAccountsRedirect = (platform, outcome = "success") => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${frontendUrl}/dashboard/connected-accounts?${outcome}=${platform}`;
+};
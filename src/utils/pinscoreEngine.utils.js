@@ -0,0 +1,228 @@
+// src/utils/pinscoreEngine.utils.js
+const mongoose = require("mongoose");
+const Event = require("../schema/event.schema");
+const User = require("../schema/user.schema");
+const {
+  EVENT_TYPE_WEIGHTS,
+  PLATFORM_MULTIPLIERS,
+  PLATFORM_BASELINES,
+  VELOCITY,
+  SCHEDULE
+} = require("../config/pinscore.config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize a platform's raw points onto a comparable log scale.
+ * Counts can be negative (unlikes, unfollows), so a platform whose
+ * losses outweigh its gains scores 0 rather than going below the log's domain.
+ */
+const normalize = (points, platform) => {
+  const baseline = PLATFORM_BASELINES[platform] || 1000;
+  return 100 * Math.log10(1 + Math.max(points, 0) / baseline);
+};
+
+/**
+ * Sum metrics.count per platform and type over a user's effective events.
+ * With `decay`, each event is weighted by 0.5^(age / halfLife).
+ */
+const aggregateCounts = (userId, { since, decay, now } = {}) => {
+  const match = { pinscore_user_id: new mongoose.Types.ObjectId(userId) };
+  if (since) match.timestamp = { $gte: since };
+
+  const halfLifeMs = VELOCITY.halfLifeDays * DAY_MS;
+  const countExpression = decay
+    ? {
+        $multiply: [
+          "$metrics.count",
+          {
+            $exp: {
+              $multiply: [-Math.LN2 / halfLifeMs, { $subtract: [now, "$timestamp"] }]
+            }
+          }
+        ]
+      }
+    : "$metrics.count";
+
+  return Event.aggregate([
+    { $match: match },
+    ...Event.effectiveVersionStages(),
+    {
+      $group: {
+        _id: { platform: "$platform", type: "$type" },
+        count: { $sum: countExpression }
+      }
+    }
+  ]);
+};
+
+/**
+ * Turn per-(platform, type) counts into a scored, explainable breakdown
+ */
+const scoreCounts = (rows) => {
+  const platforms = {};
+
+  for (const { _id, count } of rows) {
+    const weight = EVENT_TYPE_WEIGHTS[_id.type] || 0;
+    const entry = platforms[_id.platform] || (platforms[_id.platform] = { points: 0, types: [] });
+
+    entry.points += count * weight;
+    entry.types.push({
+      type: _id.type,
+      count: round(count),
+      weight,
+      points: round(count * weight)
+    });
+  }
+
+  let score = 0;
+  const breakdown = Object.entries(platforms).map(([platform, { points, types }]) => {
+    const normalized = normalize(points, platform);
+    const multiplier = PLATFORM_MULTIPLIERS[platform] ?? 1;
+    const contribution = normalized * multiplier;
+    score += contribution;
+
+    return {
+      platform,
+      points: round(points),
+      baseline: PLATFORM_BASELINES[platform] || 1000,
+      normalized: round(normalized),
+      multiplier,
+      contribution: round(contribution),
+      types: types.sort((a, b) => b.points - a.points)
+    };
+  });
+
+  return {
+    score: round(score),
+    platforms: breakdown.sort((a, b) => b.contribution - a.contribution)
+  };
+};
+
+exports.scoreCounts = scoreCounts;
+
+/**
+ * Compute a user's Pinscore without persisting it
+ */
+exports.computePinscore = async (userId) => {
+  const now = new Date();
+  const since = new Date(now.getTime() - VELOCITY.windowDays * DAY_MS);
+
+  const [lifetimeRows, recentRows] = await Promise.all([
+    aggregateCounts(userId),
+    aggregateCounts(userId, { since, decay: true, now })
+  ]);
+
+  const lifetime = scoreCounts(lifetimeRows);
+  const recent = scoreCounts(recentRows);
+
+  return {
+    total: lifetime.score,
+    velocity: recent.score,
+    computedAt: now,
+    breakdown: {
+      total: lifetime.platforms,
+      velocity: {
+        windowDays: VELOCITY.windowDays,
+        halfLifeDays: VELOCITY.halfLifeDays,
+        platforms: recent.platforms
+      }
+    }
+  };
+};
+
+/**
+ * Compute and persist a user's Pinscore
+ */
+exports.recomputePinscore = async (userId) => {
+  const result = await exports.computePinscore(userId);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "pinscore.total": result.total,
+        "pinscore.velocity": result.velocity,
+        "pinscore.lastUpdated": result.computedAt
+      }
+    }
+  );
+
+  return result;
+};
+
+/**
+ * Recompute users with events ingested since `since`, plus users whose score
+ * is older than SCHEDULE.maxAgeHours (velocity decays over time) or was never
+ * computed (no lastUpdated, e.g. events that predate the scheduler).
+ */
+exports.recomputeStaleScores = async (since) => {
+  const staleBefore = new Date(Date.now() - SCHEDULE.maxAgeHours * 60 * 60 * 1000);
+
+  const [dirtyIds, staleUsers] = await Promise.all([
+    Event.distinct("pinscore_user_id", {
+      ingested_at: { $gt: since },
+      pinscore_user_id: { $ne: null }
+    }),
+    User.find({
+      $or: [
+        { "pinscore.lastUpdated": { $lt: staleBefore } },
+        // Matches a missing field as well as an explicit null
+        { "pinscore.lastUpdated": null }
+      ]
+    }).select("_id").lean()
+  ]);
+
+  const userIds = new Set([
+    ...dirtyIds.map(String),
+    ...staleUsers.map(user => String(user._id))
+  ]);
+
+  let updated = 0;
+  for (const userId of userIds) {
+    try {
+      await exports.recomputePinscore(userId);
+      updated += 1;
+    } catch (error) {
+      console.error(`Pinscore recompute failed for user ${userId}:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Periodically refresh scores that may have changed.
+ * Returns the interval handle (or null when disabled).
+ */
+exports.startPinscoreScheduler = () => {
+  const intervalMs = SCHEDULE.intervalMinutes * 60 * 1000;
+  if (!intervalMs) return null;
+
+  let lastRunAt = new Date(Date.now() - intervalMs);
+  let running = false;
+
+  const handle = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    const startedAt = new Date();
+    try {
+      const updated = await exports.recomputeStaleScores(lastRunAt);
+      lastRunAt = startedAt;
+      if (updated > 0) {
+        console.log(`Pinscore: recomputed ${updated} user(s)`);
+      }
+    } catch (error) {
+      console.error("Pinscore scheduler error:", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for scoring
+  handle.unref();
+  return handle;
+};
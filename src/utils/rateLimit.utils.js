@@ -0,0 +1,111 @@
+// src/utils/rateLimit.utils.js
+const RateLimit = require("../schema/rateLimit.schema");
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Check whether a key is currently locked out
+ * Returns { locked, retryAfter } with retryAfter in seconds
+ */
+exports.checkLock = async (key) => {
+  const entry = await RateLimit.findOne({ key });
+
+  if (entry?.lockedUntil && entry.lockedUntil > new Date()) {
+    return { locked: true, retryAfter: secondsUntil(entry.lockedUntil) };
+  }
+
+  return { locked: false, retryAfter: 0 };
+};
+
+/**
+ * Record one hit against a key (a failed attempt, a sent email, ...)
+ * Once `limit` hits land inside `windowMs` the key is locked for `lockoutMs`.
+ * Returns { locked, retryAfter, remaining }
+ */
+exports.hit = async (key, { limit, windowMs, lockoutMs }) => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + Math.max(windowMs, lockoutMs));
+
+  // Start a fresh window when none exists or the previous one has lapsed,
+  // otherwise count the hit in the current one; one atomic update either way
+  const lapsed = {
+    $or: [
+      { $not: ["$windowStartedAt"] },
+      { $lt: ["$windowStartedAt", new Date(now.getTime() - windowMs)] }
+    ]
+  };
+  const countHit = () => RateLimit.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        count: { $cond: [lapsed, 1, { $add: [{ $ifNull: ["$count", 0] }, 1] }] },
+        windowStartedAt: { $cond: [lapsed, now, "$windowStartedAt"] },
+        // An active lockout keeps the entry alive until it ends
+        expiresAt: { $cond: [lapsed, { $max: ["$lockedUntil", windowEnd] }, "$expiresAt"] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  let entry;
+  try {
+    entry = await countHit();
+  } catch (err) {
+    // Two first hits upserted the same key at once; the other one created it
+    if (err.code !== 11000) throw err;
+    entry = await countHit();
+  }
+
+  if (entry.count >= limit) {
+    const lockedUntil = new Date(now.getTime() + lockoutMs);
+    await RateLimit.updateOne(
+      { key },
+      { $set: { lockedUntil, expiresAt: lockedUntil } }
+    );
+    return { locked: true, retryAfter: secondsUntil(lockedUntil), remaining: 0 };
+  }
+
+  return { locked: false, retryAfter: 0, remaining: limit - entry.count };
+};
+
+/**
+ * Allow an action at most once per `cooldownMs` for a key
+ * Returns { allowed, retryAfter }
+ */
+exports.consumeCooldown = async (key, cooldownMs) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + cooldownMs);
+
+  // Only claims the slot when no unexpired cooldown is in place
+  const claimed = await RateLimit.findOneAndUpdate(
+    { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: until, windowStartedAt: now, expiresAt: until }, $inc: { count: 1 } },
+    { new: true }
+  );
+
+  if (claimed) return { allowed: true, retryAfter: 0 };
+
+  const existing = await RateLimit.findOne({ key });
+  if (existing?.lockedUntil > now) {
+    return { allowed: false, retryAfter: secondsUntil(existing.lockedUntil) };
+  }
+
+  // First use of this key
+  try {
+    await RateLimit.create({ key, count: 1, windowStartedAt: now, lockedUntil: until, expiresAt: until });
+    return { allowed: true, retryAfter: 0 };
+  } catch (err) {
+    // Lost a race with a concurrent request for the same key
+    if (err.code === 11000) {
+      return { allowed: false, retryAfter: secondsUntil(until) };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Clear a key (e.g. after a successful attempt)
+ */
+exports.reset = async (key) => {
+  await RateLimit.deleteOne({ key });
+};
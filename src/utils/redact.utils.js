@@ -0,0 +1,31 @@
+// src/utils/redact.utils.js
+
+// Keys whose values are credentials wherever they appear (bodies, headers, params)
+const SECRET_KEY = /token|secret|password|authorization|code_verifier|^code$/i;
+
+const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== "object" || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY.test(key) && item != null ? "[REDACTED]" : redact(item, depth + 1)
+  ]));
+};
+
+/**
+ * Loggable view of an error. HTTP client errors carry their request config
+ * (URL, headers, form body) which can hold tokens, so only the message,
+ * status and a redacted response body are kept.
+ */
+exports.loggableError = (error) => {
+  if (!error || !error.isAxiosError) return error;
+
+  return {
+    message: error.message,
+    status: error.response?.status,
+    data: redact(error.response?.data)
+  };
+};
+
+exports.redact = redact;
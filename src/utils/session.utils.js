@@ -0,0 +1,135 @@
+// src/utils/session.utils.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../schema/session.schema");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage / lookup
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session can be found
+ * without scanning hashes
+ */
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+};
+
+exports.hashToken = hashToken;
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+exports.signAccessToken = (user, sessionId) => {
+  const payload = {
+    sub: user._id,
+    sid: sessionId,
+    role: user.getRole()
+  };
+
+  const token = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Extract the session id from a refresh token without trusting it
+ */
+exports.parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  return sessionId;
+};
+
+/**
+ * Start a new session for the requesting device and issue its tokens.
+ * A device that signs in again replaces its previous session.
+ */
+exports.createSession = async (user, req) => {
+  const deviceId = req.body?.deviceId || req.header("X-Device-Id") || null;
+
+  if (deviceId) {
+    await Session.updateMany(
+      { user: user._id, "device.deviceId": deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "replaced" } }
+    );
+  }
+
+  const session = new Session({
+    user: user._id,
+    device: {
+      deviceId,
+      userAgent: req.header("User-Agent") || null,
+      ipAddress: req.ip || null
+    },
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    ...exports.signAccessToken(user, session._id),
+    refreshToken,
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Replace a session's refresh token and extend its lifetime.
+ * The swap only applies while the session still holds the token being
+ * presented, so two requests racing with the same token can't both rotate it.
+ * Returns null when another request rotated (or revoked) it first.
+ */
+exports.rotateSession = async (user, session) => {
+  const refreshToken = generateRefreshToken(session._id);
+  const now = new Date();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+
+  return {
+    ...exports.signAccessToken(user, rotated._id),
+    refreshToken,
+    refreshExpiresAt: rotated.expiresAt
+  };
+};
+
+/**
+ * Revoke every active session belonging to a user
+ */
+exports.revokeAllSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
@@ -0,0 +1,119 @@
+// src/utils/threadsApi.utils.js
+const axios = require("axios");
+
+const AUTHORIZE_URL = "https://threads.net/oauth/authorize";
+const GRAPH_BASE = "https://graph.threads.net";
+const API_VERSION = "v1.0";
+
+const SCOPES = ["threads_basic", "threads_manage_insights"];
+
+const MEDIA_METRICS = ["views", "likes", "replies", "reposts", "quotes"];
+
+const graph = axios.create({ baseURL: GRAPH_BASE });
+
+const toTokens = (data) => ({
+  accessToken: data.access_token,
+  tokenIssuedAt: new Date(),
+  tokenExpiresAt: new Date(Date.now() + (data.expires_in || 60 * 24 * 60 * 60) * 1000)
+});
+
+exports.buildAuthorizeUrl = (state) => {
+  const params = new URLSearchParams({
+    client_id: process.env.THREADS_APP_ID,
+    redirect_uri: process.env.THREADS_REDIRECT_URI,
+    response_type: "code",
+    scope: SCOPES.join(","),
+    state
+  });
+
+  return `${AUTHORIZE_URL}?${params}`;
+};
+
+/**
+ * Authorization code -> short-lived token -> long-lived (60 day) token
+ */
+exports.exchangeCode = async (code) => {
+  const form = new URLSearchParams({
+    client_id: process.env.THREADS_APP_ID,
+    client_secret: process.env.THREADS_APP_SECRET,
+    grant_type: "authorization_code",
+    redirect_uri: process.env.THREADS_REDIRECT_URI,
+    code
+  });
+  const shortLived = (await graph.post("/oauth/access_token", form)).data;
+
+  const response = await graph.get("/access_token", {
+    params: {
+      grant_type: "th_exchange_token",
+      client_secret: process.env.THREADS_APP_SECRET,
+      access_token: shortLived.access_token
+    }
+  });
+
+  return toTokens(response.data);
+};
+
+/**
+ * Long-lived tokens last 60 days and can be refreshed once they are a day old
+ * (scheduled by tokenManager.utils)
+ */
+exports.refreshLongLivedToken = async (accessToken) => {
+  const response = await graph.get("/refresh_access_token", {
+    params: { grant_type: "th_refresh_token", access_token: accessToken }
+  });
+  return toTokens(response.data);
+};
+
+exports.getProfile = async (accessToken) => {
+  const response = await graph.get(`/${API_VERSION}/me`, {
+    params: {
+      fields: "id,username,name,is_verified",
+      access_token: accessToken
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Follower count (total_value metric on the profile)
+ */
+exports.getFollowersCount = async (userId, accessToken) => {
+  const response = await graph.get(`/${API_VERSION}/${userId}/threads_insights`, {
+    params: { metric: "followers_count", access_token: accessToken }
+  });
+  const insight = (response.data.data || []).find(item => item.name === "followers_count");
+  return insight?.total_value?.value || 0;
+};
+
+/**
+ * Recent threads with per-media insights as { metric: value }.
+ * Media whose insights are unavailable keep empty insights.
+ */
+exports.getMediaInsights = async (accessToken, { limit = 25 } = {}) => {
+  const response = await graph.get(`/${API_VERSION}/me/threads`, {
+    params: {
+      fields: "id,text,media_type,permalink,timestamp,is_quote_post",
+      limit,
+      access_token: accessToken
+    }
+  });
+
+  const media = response.data.data || [];
+
+  return Promise.all(media.map(async (item) => {
+    let insights = {};
+
+    try {
+      const insightResponse = await graph.get(`/${API_VERSION}/${item.id}/insights`, {
+        params: { metric: MEDIA_METRICS.join(","), access_token: accessToken }
+      });
+      insights = Object.fromEntries(
+        insightResponse.data.data.map(insight => [insight.name, insight.values?.[0]?.value ?? insight.total_value?.value ?? 0])
+      );
+    } catch (error) {
+      console.warn(`Threads insights unavailable for media ${item.id}:`, error.response?.data?.error?.message || error.message);
+    }
+
+    return { ...item, insights };
+  }));
+};
@@ -0,0 +1,106 @@
+// src/utils/tiktokApi.utils.js
+const axios = require("axios");
+
+const AUTHORIZE_URL = "https://www.tiktok.com/v2/auth/authorize/";
+const API_BASE = "https://open.tiktokapis.com/v2";
+
+// user.info.stats for follower counts, video.list for per-video metrics
+const SCOPES = ["user.info.basic", "user.info.profile", "user.info.stats", "video.list"];
+
+const USER_FIELDS = ["open_id", "display_name", "username", "avatar_url", "follower_count", "likes_count", "video_count"];
+const VIDEO_FIELDS = ["id", "title", "create_time", "duration", "share_url", "view_count", "like_count", "comment_count", "share_count"];
+
+/**
+ * Token endpoints take the client credentials in the form body
+ */
+const clientRequest = async (path, params) => {
+  const form = new URLSearchParams({
+    client_key: process.env.TIKTOK_CLIENT_KEY,
+    client_secret: process.env.TIKTOK_CLIENT_SECRET,
+    ...params
+  });
+
+  const response = await axios.post(`${API_BASE}${path}`, form);
+
+  // Token errors come back as 200 with an error field
+  if (response.data.error && response.data.error !== "ok") {
+    const error = new Error(`TikTok ${path} failed: ${response.data.error_description || response.data.error}`);
+    error.oauthError = response.data.error;
+    throw error;
+  }
+
+  return response.data;
+};
+
+/**
+ * Normalize a token response into the fields stored on user.tiktok
+ */
+const toTokens = (data) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  tokenExpiresAt: new Date(Date.now() + data.expires_in * 1000),
+  refreshTokenExpiresAt: data.refresh_expires_in ? new Date(Date.now() + data.refresh_expires_in * 1000) : null
+});
+
+exports.buildAuthorizeUrl = (state) => {
+  const params = new URLSearchParams({
+    client_key: process.env.TIKTOK_CLIENT_KEY,
+    redirect_uri: process.env.TIKTOK_REDIRECT_URI,
+    response_type: "code",
+    scope: SCOPES.join(","),
+    state
+  });
+
+  return `${AUTHORIZE_URL}?${params}`;
+};
+
+/**
+ * Returns the tokens plus the account's open_id
+ */
+exports.exchangeCode = async (code) => {
+  const data = await clientRequest("/oauth/token/", {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: process.env.TIKTOK_REDIRECT_URI
+  });
+  return { openId: data.open_id, ...toTokens(data) };
+};
+
+/**
+ * Access tokens last 24 hours; the refresh token may be rotated, so store what comes back
+ */
+exports.refreshAccessToken = async (refreshToken) => {
+  const data = await clientRequest("/oauth/token/", {
+    grant_type: "refresh_token",
+    refresh_token: refreshToken
+  });
+  return toTokens(data);
+};
+
+exports.revokeToken = async (token) => {
+  await clientRequest("/oauth/revoke/", { token });
+};
+
+const api = (accessToken) => axios.create({
+  baseURL: API_BASE,
+  headers: { Authorization: `Bearer ${accessToken}` }
+});
+
+exports.getUserInfo = async (accessToken) => {
+  const response = await api(accessToken).get("/user/info/", {
+    params: { fields: USER_FIELDS.join(",") }
+  });
+  return response.data.data.user;
+};
+
+/**
+ * The account's most recent public videos with view, like, comment and share counts
+ */
+exports.getVideos = async (accessToken, { maxCount = 20 } = {}) => {
+  const response = await api(accessToken).post(
+    "/video/list/",
+    { max_count: maxCount },
+    { params: { fields: VIDEO_FIELDS.join(",") } }
+  );
+  return response.data.data?.videos || [];
+};
@@ -0,0 +1,152 @@
+// src/utils/tokenCrypto.utils.js
+// Envelope encryption for platform credentials stored on the user document.
+// Every value gets its own random data key (AES-256-GCM); the data key is wrapped
+// with a key-encryption key from TOKEN_ENCRYPTION_KEYS. Rotating the
+// key-encryption key only re-wraps data keys, the token ciphertext is untouched.
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+/**
+ * TOKEN_ENCRYPTION_KEYS="<keyId>:<base64 32-byte key>,<keyId>:<key>,..."
+ * TOKEN_ENCRYPTION_KEY_ID picks the key new values are wrapped with (defaults to the first).
+ * Older keys stay listed until every value has been re-wrapped.
+ */
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || "").split(",").map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(":");
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+    if (separator <= 0 || !/^[\w-]+$/.test(keyId)) {
+      throw new Error("TOKEN_ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>");
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Token encryption key "${keyId}" must be ${KEY_BYTES} bytes (base64 encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+};
+
+const activeKey = () => {
+  const { keys, activeKeyId } = loadKeyring();
+  if (!activeKeyId) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not configured; platform tokens can't be stored");
+  }
+  return { keyId: activeKeyId, key: keys.get(activeKeyId) };
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+};
+
+const open = (key, sealed, aad) => {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const tag = sealed.subarray(sealed.length - TAG_BYTES);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+};
+
+// The key id is bound to the wrapped data key so it can't be swapped
+const wrapKey = (keyId, key, dataKey) => seal(key, dataKey, Buffer.from(keyId));
+const unwrapKey = (keyId, key, wrapped) => open(key, wrapped, Buffer.from(keyId));
+
+/**
+ * "enc:v1:<keyId>:<wrapped data key>:<sealed token>" -> parts, or null for other values
+ */
+const parse = (value) => {
+  if (typeof value !== "string" || !value.startsWith(`${PREFIX}:`)) return null;
+
+  const [keyId, wrappedKey, sealed] = value.slice(PREFIX.length + 1).split(":");
+  if (!keyId || !wrappedKey || !sealed) return null;
+
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, "base64url"),
+    sealed: Buffer.from(sealed, "base64url")
+  };
+};
+
+const format = (keyId, wrappedKey, sealed) => {
+  return `${PREFIX}:${keyId}:${wrappedKey.toString("base64url")}:${sealed.toString("base64url")}`;
+};
+
+const keyFor = (keyId) => {
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) throw new Error(`Unknown token encryption key "${keyId}"`);
+  return key;
+};
+
+exports.isEncrypted = (value) => parse(value) !== null;
+
+exports.encryptToken = (plaintext) => {
+  if (plaintext == null || plaintext === "" || exports.isEncrypted(plaintext)) return plaintext;
+
+  const { keyId, key } = activeKey();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return format(keyId, wrapKey(keyId, key, dataKey), seal(dataKey, Buffer.from(String(plaintext), "utf8")));
+};
+
+/**
+ * Values written before encryption was introduced are returned as they are
+ */
+exports.decryptToken = (value) => {
+  const parts = parse(value);
+  if (!parts) return value;
+
+  const dataKey = unwrapKey(parts.keyId, keyFor(parts.keyId), parts.wrappedKey);
+  return open(dataKey, parts.sealed).toString("utf8");
+};
+
+/**
+ * True for plaintext values and values wrapped with a key other than the active one
+ */
+exports.needsReencryption = (value) => {
+  if (value == null || value === "") return false;
+
+  const parts = parse(value);
+  return !parts || parts.keyId !== activeKey().keyId;
+};
+
+/**
+ * Encrypt plaintext values; re-wrap the data key of values under a retired key
+ */
+exports.reencryptToken = (value) => {
+  const parts = parse(value);
+  if (!parts) return exports.encryptToken(value);
+
+  const { keyId, key } = activeKey();
+  if (parts.keyId === keyId) return value;
+
+  const dataKey = unwrapKey(parts.keyId, keyFor(parts.keyId), parts.wrappedKey);
+  return format(keyId, wrapKey(keyId, key, dataKey), parts.sealed);
+};
+
+// For tests and key rotation scripts that change the environment at runtime
+exports.resetKeyring = () => {
+  keyring = null;
+};
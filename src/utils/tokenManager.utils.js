@@ -0,0 +1,330 @@
+// src/utils/tokenManager.utils.js
+const axios = require("axios");
+const User = require("../schema/user.schema");
+const twitterApi = require("./twitterApi.utils");
+const instagramApi = require("./instagramApi.utils");
+const threadsApi = require("./threadsApi.utils");
+const tiktokApi = require("./tiktokApi.utils");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TOKEN_MANAGER = {
+  lockMs: 30 * 1000,
+  // Outlasts lockMs, so a waiter sees the lock released or expired before giving up
+  waitMs: 35 * 1000,
+  pollMs: 250,
+  intervalMs: 6 * 60 * 60 * 1000
+};
+
+// Fields a refresh may change on a connection
+const TOKEN_FIELDS = ["accessToken", "refreshToken", "tokenIssuedAt", "tokenExpiresAt", "refreshTokenExpiresAt"];
+
+const refreshGoogleToken = async ({ refreshToken }) => {
+  const response = await axios.post("https://oauth2.googleapis.com/token", {
+    client_id: process.env.YOUTUBE_CLIENT_ID,
+    client_secret: process.env.YOUTUBE_CLIENT_SECRET,
+    refresh_token: refreshToken,
+    grant_type: "refresh_token"
+  });
+
+  return {
+    accessToken: response.data.access_token,
+    tokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000)
+  };
+};
+
+/**
+ * How each platform's connection is kept alive.
+ *  - renewWithinMs: refresh once the token expires within this window
+ *  - minAgeMs: long-lived tokens can't be refreshed until they are this old
+ *  - keepAlive: refresh in the background too, so idle connections don't lapse
+ * Facebook Page tokens don't expire, so there is nothing to refresh.
+ */
+const PROVIDERS = {
+  youtube: {
+    renewWithinMs: 5 * MINUTE_MS,
+    usesRefreshToken: true,
+    refresh: refreshGoogleToken
+  },
+  twitter: {
+    renewWithinMs: 5 * MINUTE_MS,
+    usesRefreshToken: true,
+    refresh: ({ refreshToken }) => twitterApi.refreshAccessToken(refreshToken)
+  },
+  tiktok: {
+    renewWithinMs: 5 * MINUTE_MS,
+    usesRefreshToken: true,
+    refresh: ({ refreshToken }) => tiktokApi.refreshAccessToken(refreshToken)
+  },
+  instagram: {
+    renewWithinMs: 7 * DAY_MS,
+    minAgeMs: DAY_MS,
+    keepAlive: true,
+    refresh: ({ accessToken }) => instagramApi.refreshLongLivedToken(accessToken)
+  },
+  threads: {
+    renewWithinMs: 7 * DAY_MS,
+    minAgeMs: DAY_MS,
+    keepAlive: true,
+    refresh: ({ accessToken }) => threadsApi.refreshLongLivedToken(accessToken)
+  },
+  facebook: {}
+};
+
+const needsReauthError = (platform, reason) => {
+  const error = new Error(`${platform} connection needs to be re-authorized${reason ? `: ${reason}` : ""}`);
+  error.status = 409;
+  error.code = "needs_reauth";
+  error.platform = platform;
+  return error;
+};
+
+/**
+ * The provider refused the refresh (revoked, expired or rotated-out refresh token)
+ * rather than failing transiently
+ */
+const isRefusal = (error) => {
+  return Boolean(error.oauthError)
+    || [400, 401, 403].includes(error.response?.status);
+};
+
+const refusalReason = (error) => {
+  const data = error.response?.data;
+  return data?.error_description || data?.error?.message || data?.error || error.message;
+};
+
+const isDue = (platform, connection, now = Date.now()) => {
+  const provider = PROVIDERS[platform];
+  if (!provider.refresh || !connection.tokenExpiresAt) return false;
+
+  const expiring = new Date(connection.tokenExpiresAt).getTime() - now <= provider.renewWithinMs;
+  const oldEnough = !provider.minAgeMs
+    || !connection.tokenIssuedAt
+    || now - new Date(connection.tokenIssuedAt).getTime() >= provider.minAgeMs;
+
+  return expiring && oldEnough;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const releaseLock = (userId, platform, update = {}) => {
+  return User.findOneAndUpdate(
+    { _id: userId },
+    { ...update, $unset: { ...update.$unset, [`${platform}.tokenRefreshLockedUntil`]: "" } },
+    { new: true }
+  );
+};
+
+/**
+ * Another process holds the refresh lock: wait for it to finish and use its result.
+ * If the lock expires instead of being released (its holder died mid-refresh),
+ * try to take it once and refresh here.
+ */
+const waitForRefresh = async (userId, platform, rejectedToken, retried) => {
+  for (let waited = 0; waited < TOKEN_MANAGER.waitMs; waited += TOKEN_MANAGER.pollMs) {
+    await sleep(TOKEN_MANAGER.pollMs);
+
+    const current = await User.findById(userId).select(platform);
+    const connection = current?.[platform];
+    if (!connection?.accessToken) {
+      throw needsReauthError(platform, "disconnected during refresh");
+    }
+
+    const lockedUntil = connection.tokenRefreshLockedUntil;
+    if (!lockedUntil) {
+      if (connection.authStatus === "needs_reauth") {
+        throw needsReauthError(platform, connection.authError);
+      }
+      return connection;
+    }
+    if (new Date(lockedUntil) <= new Date() && !retried) {
+      return refreshUnderLock(userId, platform, rejectedToken, true);
+    }
+  }
+
+  throw new Error(`Timed out waiting for ${platform} token refresh`);
+};
+
+/**
+ * Refresh under a per-connection lock stored on the user, so concurrent requests
+ * (in this or another process) refresh once. Returns the connection as stored.
+ */
+const refreshUnderLock = async (userId, platform, rejectedToken, retried = false) => {
+  const provider = PROVIDERS[platform];
+  const lockPath = `${platform}.tokenRefreshLockedUntil`;
+  const now = new Date();
+
+  // Documents (not lean) so credentials come back decrypted by the schema getters
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      [`${platform}.accessToken`]: { $ne: null },
+      $or: [{ [lockPath]: null }, { [lockPath]: { $lte: now } }]
+    },
+    { $set: { [lockPath]: new Date(now.getTime() + TOKEN_MANAGER.lockMs) } },
+    { new: true }
+  );
+
+  if (!claimed) return waitForRefresh(userId, platform, rejectedToken, retried);
+
+  const connection = claimed[platform];
+
+  // Someone else refreshed (or gave up) between our read and the lock
+  if (connection.authStatus === "needs_reauth") {
+    await releaseLock(userId, platform);
+    throw needsReauthError(platform, connection.authError);
+  }
+  const alreadyRefreshed = rejectedToken
+    ? connection.accessToken !== rejectedToken
+    : !isDue(platform, connection);
+  if (alreadyRefreshed) {
+    await releaseLock(userId, platform);
+    return connection;
+  }
+
+  try {
+    if (!provider.refresh || (provider.usesRefreshToken && !connection.refreshToken)) {
+      const reason = provider.refresh ? "no refresh token" : "token rejected and cannot be refreshed";
+      throw Object.assign(new Error(reason), { oauthError: "no_refresh_token" });
+    }
+
+    const tokens = await provider.refresh(connection);
+
+    const $set = { [`${platform}.authStatus`]: "active" };
+    for (const field of TOKEN_FIELDS) {
+      if (tokens[field] != null) $set[`${platform}.${field}`] = tokens[field];
+    }
+
+    const updated = await releaseLock(userId, platform, {
+      $set,
+      $unset: { [`${platform}.authError`]: "" }
+    });
+
+    return updated[platform];
+  } catch (error) {
+    if (isRefusal(error)) {
+      const reason = refusalReason(error);
+      await releaseLock(userId, platform, {
+        $set: { [`${platform}.authStatus`]: "needs_reauth", [`${platform}.authError`]: reason }
+      });
+
+      console.warn(`${platform} token refresh refused for user ${userId}: ${reason}`);
+      throw needsReauthError(platform, reason);
+    }
+
+    await releaseLock(userId, platform);
+
+    // Transient failure ahead of expiry: the current token still works
+    if (!rejectedToken && new Date(connection.tokenExpiresAt) > new Date()) {
+      console.warn(`${platform} token refresh failed for user ${userId}, using current token:`, error.message);
+      return connection;
+    }
+    throw error;
+  }
+};
+
+// Refreshes in flight in this process, keyed by user and platform
+const inflight = new Map();
+
+/**
+ * A usable access token for user[platform], refreshed first when it is about to expire.
+ * Pass { force: true } after the platform rejected the current token.
+ * Throws a needs_reauth error (status 409) when the connection must be re-authorized.
+ */
+exports.getAccessToken = async (user, platform, { force = false } = {}) => {
+  const connection = user[platform];
+  if (!connection || !connection.accessToken) {
+    throw new Error(`${platform} not connected`);
+  }
+  if (connection.authStatus === "needs_reauth") {
+    throw needsReauthError(platform, connection.authError);
+  }
+  if (!force && !isDue(platform, connection)) {
+    return connection.accessToken;
+  }
+
+  const key = `${user._id}:${platform}`;
+  if (!inflight.has(key)) {
+    const rejectedToken = force ? connection.accessToken : null;
+    inflight.set(key, refreshUnderLock(user._id, platform, rejectedToken).finally(() => inflight.delete(key)));
+  }
+
+  const fresh = await inflight.get(key);
+
+  // Keep the caller's document in step with what was stored
+  for (const field of [...TOKEN_FIELDS, "authStatus"]) {
+    if (fresh[field] != null) connection[field] = fresh[field];
+  }
+
+  return connection.accessToken;
+};
+
+/**
+ * "disconnected", "connected" or "needs_reauth" for a platform connection
+ */
+exports.connectionStatus = (connection) => {
+  if (!connection || !connection.accessToken) return "disconnected";
+  return connection.authStatus === "needs_reauth" ? "needs_reauth" : "connected";
+};
+
+/**
+ * Refresh long-lived tokens that are inside their renewal window.
+ * Returns the number refreshed.
+ */
+exports.refreshExpiringTokens = async () => {
+  const now = Date.now();
+  let refreshed = 0;
+
+  for (const [platform, provider] of Object.entries(PROVIDERS)) {
+    if (!provider.keepAlive) continue;
+
+    const users = await User.find({
+      [`${platform}.accessToken`]: { $ne: null },
+      [`${platform}.authStatus`]: { $ne: "needs_reauth" },
+      [`${platform}.tokenExpiresAt`]: { $lte: new Date(now + provider.renewWithinMs), $gt: new Date(now) },
+      $or: [
+        { [`${platform}.tokenIssuedAt`]: null },
+        { [`${platform}.tokenIssuedAt`]: { $lte: new Date(now - provider.minAgeMs) } }
+      ]
+    });
+
+    for (const user of users) {
+      try {
+        await exports.getAccessToken(user, platform);
+        refreshed++;
+      } catch (error) {
+        console.error(`${platform} token refresh failed for user ${user._id}:`, error.message);
+      }
+    }
+  }
+
+  return refreshed;
+};
+
+exports.startTokenRefresher = () => {
+  let running = false;
+
+  const handle = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const refreshed = await exports.refreshExpiringTokens();
+      if (refreshed > 0) {
+        console.log(`Token manager: refreshed ${refreshed} long-lived token(s)`);
+      }
+    } catch (error) {
+      console.error("Token refresher error:", error);
+    } finally {
+      running = false;
+    }
+  }, TOKEN_MANAGER.intervalMs);
+
+  // Don't keep the process alive just for token refreshes
+  handle.unref();
+  return handle;
+};
+
+exports.TOKEN_MANAGER = TOKEN_MANAGER;
+exports.PROVIDERS = PROVIDERS;
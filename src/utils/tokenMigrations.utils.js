@@ -0,0 +1,47 @@
+// src/utils/tokenMigrations.utils.js
+// Rewrites of the platform credentials already stored on user documents.
+const User = require("../schema/user.schema");
+const { needsReencryption, reencryptToken } = require("./tokenCrypto.utils");
+
+/**
+ * Migration and key rotation: encrypt credentials still stored in plaintext and
+ * re-wrap values under a retired key with the active one.
+ * Returns { scanned, updated, skipped }; skipped values changed meanwhile, run again.
+ */
+exports.reencryptStoredCredentials = async ({ batchSize = 100 } = {}) => {
+  const paths = User.credentialPaths();
+
+  // Raw driver: stored values are compared and written as they are, bypassing the schema setters
+  const cursor = User.collection.find(
+    { $or: paths.map(path => ({ [path]: { $type: "string" } })) },
+    { projection: Object.fromEntries(paths.map(path => [path, 1])) }
+  ).batchSize(batchSize);
+
+  let scanned = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for await (const stored of cursor) {
+    scanned++;
+
+    const filter = { _id: stored._id };
+    const $set = {};
+
+    for (const path of paths) {
+      const value = path.split(".").reduce((current, key) => current?.[key], stored);
+      if (typeof value !== "string" || !needsReencryption(value)) continue;
+
+      // Only if a refresh hasn't replaced it in the meantime
+      filter[path] = value;
+      $set[path] = reencryptToken(value);
+    }
+
+    if (Object.keys($set).length === 0) continue;
+
+    const result = await User.collection.updateOne(filter, { $set });
+    if (result.modifiedCount > 0) updated++;
+    else skipped++;
+  }
+
+  return { scanned, updated, skipped };
+};
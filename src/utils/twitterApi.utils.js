@@ -0,0 +1,119 @@
+// src/utils/twitterApi.utils.js
+const axios = require("axios");
+
+const AUTHORIZE_URL = "https://twitter.com/i/oauth2/authorize";
+const TOKEN_URL = "https://api.twitter.com/2/oauth2/token";
+const REVOKE_URL = "https://api.twitter.com/2/oauth2/revoke";
+const API_BASE = "https://api.twitter.com/2";
+
+// offline.access is what gets us a refresh token
+const SCOPES = ["tweet.read", "users.read", "follows.read", "offline.access"];
+
+// Organic (non-public) metrics are only served for tweets from the last 30 days
+const ORGANIC_METRICS_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Confidential clients authenticate with Basic auth; public clients send client_id in the body
+ */
+const clientRequest = async (url, params) => {
+  const form = new URLSearchParams({ client_id: process.env.TWITTER_CLIENT_ID, ...params });
+  const config = {};
+
+  if (process.env.TWITTER_CLIENT_SECRET) {
+    config.auth = {
+      username: process.env.TWITTER_CLIENT_ID,
+      password: process.env.TWITTER_CLIENT_SECRET
+    };
+  }
+
+  const response = await axios.post(url, form, config);
+  return response.data;
+};
+
+/**
+ * Normalize a token response into the fields stored on user.twitter
+ */
+const toTokens = (data) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  tokenExpiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : null
+});
+
+exports.buildAuthorizeUrl = (state, codeChallenge) => {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: process.env.TWITTER_CLIENT_ID,
+    redirect_uri: process.env.TWITTER_REDIRECT_URI,
+    scope: SCOPES.join(" "),
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256"
+  });
+
+  return `${AUTHORIZE_URL}?${params}`;
+};
+
+exports.exchangeCode = async (code, codeVerifier) => {
+  const data = await clientRequest(TOKEN_URL, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: process.env.TWITTER_REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  return toTokens(data);
+};
+
+/**
+ * Twitter rotates refresh tokens: always store the returned pair
+ */
+exports.refreshAccessToken = async (refreshToken) => {
+  const data = await clientRequest(TOKEN_URL, {
+    grant_type: "refresh_token",
+    refresh_token: refreshToken
+  });
+  return toTokens(data);
+};
+
+exports.revokeToken = async (token) => {
+  await clientRequest(REVOKE_URL, { token, token_type_hint: "access_token" });
+};
+
+const api = (accessToken) => axios.create({
+  baseURL: API_BASE,
+  headers: { Authorization: `Bearer ${accessToken}` }
+});
+
+/**
+ * The authenticated account, with follower counts
+ */
+exports.getMe = async (accessToken) => {
+  const response = await api(accessToken).get("/users/me", {
+    params: { "user.fields": "username,name,profile_image_url,public_metrics" }
+  });
+  return response.data.data;
+};
+
+/**
+ * The account's recent original tweets with public and organic metrics.
+ * Falls back to public metrics alone if organic metrics are refused.
+ */
+exports.getRecentTweets = async (accessToken, userId, { maxResults = 20 } = {}) => {
+  const params = {
+    max_results: maxResults,
+    exclude: "retweets",
+    start_time: new Date(Date.now() - ORGANIC_METRICS_WINDOW_MS + 60 * 1000).toISOString(),
+    "tweet.fields": "created_at,public_metrics,organic_metrics"
+  };
+
+  try {
+    const response = await api(accessToken).get(`/users/${userId}/tweets`, { params });
+    return response.data.data || [];
+  } catch (error) {
+    if (![400, 403].includes(error.response?.status)) throw error;
+
+    const response = await api(accessToken).get(`/users/${userId}/tweets`, {
+      params: { ...params, "tweet.fields": "created_at,public_metrics" }
+    });
+    return response.data.data || [];
+  }
+};
@@ -0,0 +1,206 @@
+// src/utils/webhookInbox.utils.js
+const WebhookInbox = require("../schema/webhookInbox.schema");
+const WebhookDeadLetter = require("../schema/webhookDeadLetter.schema");
+const { PROCESSORS, permanentError } = require("./webhookProcessors.utils");
+
+const INBOX = {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  lockMs: 5 * 60 * 1000,
+  pollIntervalMs: 30 * 1000,
+  batchSize: 25
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m ... capped at an hour
+ */
+const backoffDelay = (attempts) => {
+  return Math.min(INBOX.baseDelayMs * 2 ** (attempts - 1), INBOX.maxDelayMs);
+};
+
+const parsePayload = (entry) => {
+  return /json/i.test(entry.content_type || "") ? JSON.parse(entry.payload) : entry.payload;
+};
+
+/**
+ * Persist a delivery exactly as received. Nothing is acknowledged before this succeeds.
+ */
+exports.enqueueWebhook = (platform, req) => {
+  const payload = req.rawBody
+    ? req.rawBody.toString("utf8")
+    : (typeof req.body === "string" ? req.body : JSON.stringify(req.body || {}));
+
+  return WebhookInbox.create({
+    platform,
+    content_type: req.header("Content-Type"),
+    payload
+  });
+};
+
+/**
+ * Atomically take one due entry (or a specific one) and count the attempt
+ */
+const claim = (entryId) => {
+  const now = new Date();
+  const due = entryId
+    ? { _id: entryId, status: "pending" }
+    : {
+        $or: [
+          { status: "pending", next_attempt_at: { $lte: now } },
+          { status: "processing", locked_until: { $lte: now } }
+        ]
+      };
+
+  return WebhookInbox.findOneAndUpdate(
+    due,
+    {
+      $set: { status: "processing", locked_until: new Date(now.getTime() + INBOX.lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { next_attempt_at: 1 }, new: true }
+  );
+};
+
+/**
+ * Run a claimed entry through its platform processor.
+ * Returns "processed", "retry" or "dead_lettered".
+ */
+const processEntry = async (entry) => {
+  try {
+    const processor = PROCESSORS[entry.platform];
+    if (!processor) {
+      throw permanentError(`No webhook processor for platform: ${entry.platform}`);
+    }
+
+    let payload;
+    try {
+      payload = parsePayload(entry);
+    } catch (error) {
+      throw permanentError(`Unparseable payload: ${error.message}`);
+    }
+
+    await processor(payload, { deliveryId: String(entry._id) });
+
+    await WebhookInbox.updateOne(
+      { _id: entry._id },
+      { $set: { status: "processed", processed_at: new Date() }, $unset: { locked_until: "" } }
+    );
+    return "processed";
+  } catch (error) {
+    const failure = { attempt: entry.attempts, message: error.message, failed_at: new Date() };
+    const exhausted = entry.attempts >= INBOX.maxAttempts;
+
+    if (error.retryable === false || exhausted) {
+      // Keyed by the inbox id: if we die before the inbox entry is deleted,
+      // reprocessing it overwrites this dead letter instead of adding another
+      await WebhookDeadLetter.findOneAndUpdate(
+        { inbox_id: entry._id },
+        {
+          $set: {
+            platform: entry.platform,
+            content_type: entry.content_type,
+            payload: entry.payload,
+            reason: error.retryable === false ? "non_retryable" : "max_attempts",
+            attempts: entry.attempts,
+            failures: [...entry.toObject().failures, failure],
+            received_at: entry.received_at,
+            dead_lettered_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      await WebhookInbox.deleteOne({ _id: entry._id });
+
+      console.error(`Webhook ${entry._id} [${entry.platform}] dead-lettered:`, error.message);
+      return "dead_lettered";
+    }
+
+    await WebhookInbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: "pending",
+          next_attempt_at: new Date(Date.now() + backoffDelay(entry.attempts))
+        },
+        $unset: { locked_until: "" },
+        $push: { failures: failure }
+      }
+    );
+
+    console.warn(`Webhook ${entry._id} [${entry.platform}] attempt ${entry.attempts} failed:`, error.message);
+    return "retry";
+  }
+};
+
+/**
+ * Process a freshly enqueued entry right away (called after acknowledging)
+ */
+exports.processWebhookNow = async (entryId) => {
+  const entry = await claim(entryId);
+  return entry ? processEntry(entry) : null;
+};
+
+/**
+ * Drain due entries (new ones missed by processWebhookNow, retries, expired locks).
+ * Returns the number of entries attempted.
+ */
+exports.processDueWebhooks = async (limit = INBOX.batchSize) => {
+  let attempted = 0;
+
+  while (attempted < limit) {
+    const entry = await claim();
+    if (!entry) break;
+
+    await processEntry(entry);
+    attempted++;
+  }
+
+  return attempted;
+};
+
+/**
+ * Move a dead letter back into the inbox as a fresh delivery and process it.
+ * It keeps its original inbox id, so events keyed by the delivery dedupe.
+ */
+exports.replayDeadLetter = async (deadLetterId) => {
+  const deadLetter = await WebhookDeadLetter.findById(deadLetterId);
+  if (!deadLetter) return null;
+
+  const entry = await WebhookInbox.create({
+    _id: deadLetter.inbox_id,
+    platform: deadLetter.platform,
+    content_type: deadLetter.content_type,
+    payload: deadLetter.payload,
+    replayed_from: deadLetter._id,
+    received_at: deadLetter.received_at
+  });
+  await WebhookDeadLetter.deleteOne({ _id: deadLetter._id });
+
+  const outcome = await exports.processWebhookNow(entry._id);
+  return { entry, outcome };
+};
+
+exports.startWebhookInboxWorker = () => {
+  let running = false;
+
+  const handle = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await exports.processDueWebhooks();
+    } catch (error) {
+      console.error("Webhook inbox worker error:", error);
+    } finally {
+      running = false;
+    }
+  }, INBOX.pollIntervalMs);
+
+  // Don't keep the process alive just for the inbox
+  handle.unref();
+  return handle;
+};
+
+exports.INBOX = INBOX;
+exports.backoffDelay = backoffDelay;
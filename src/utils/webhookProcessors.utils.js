@@ -0,0 +1,360 @@
+// src/utils/webhookProcessors.utils.js
+const Event = require("../schema/event.schema");
+const User = require("../schema/user.schema");
+const { parseYouTubeNotification } = require("./youtubeFeed.utils");
+const { normalizeTikTokEvent, INSTAGRAM_MEDIA_TYPES } = require("../middleware/platformNormalizer.middleware");
+const { collectEventErrors } = require("../middleware/eventValidation.middleware");
+
+/**
+ * A payload that will never process (malformed, invalid event).
+ * The inbox dead-letters these straight away instead of retrying.
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * YouTube: PubSubHubbub Atom feed (raw XML string)
+ */
+const processYouTube = async (xml) => {
+  let notification;
+  try {
+    notification = parseYouTubeNotification(xml);
+  } catch (error) {
+    throw permanentError(`Invalid Atom notification: ${error.message}`);
+  }
+
+  const owners = new Map();
+  const findOwner = async (channelId) => {
+    if (!owners.has(channelId)) {
+      owners.set(channelId, await User.findOne({ "youtube.channelId": channelId }));
+    }
+    return owners.get(channelId);
+  };
+
+  // New uploads; updates to a video we've already recorded resolve to the same raw_event_id
+  for (const entry of notification.entries) {
+    const user = await findOwner(entry.channelId);
+    if (!user) {
+      console.log(`No user found for YouTube channel: ${entry.channelId}`);
+      continue;
+    }
+
+    const { duplicate } = await Event.ingest({
+      type: "impression",
+      platform: "youtube",
+      actor: {
+        platform_user_id: entry.channelId,
+        username: entry.author || user.youtube.channelName || "unknown"
+      },
+      subject: {
+        content_id: entry.videoId,
+        content_type: "video",
+        owner_platform_id: entry.channelId
+      },
+      metrics: {
+        count: 1
+      },
+      metadata: {
+        source: "webhook",
+        raw_event_id: `yt_video_${entry.videoId}`
+      },
+      timestamp: (entry.published || entry.updated || new Date()).toISOString(),
+      pinscore_user_id: user._id
+    });
+
+    if (duplicate) {
+      console.log(`YouTube video updated: ${entry.videoId}`);
+    }
+  }
+
+  // Deleted videos retract every effective event recorded against them
+  for (const entry of notification.deleted) {
+    const query = { platform: "youtube", "subject.content_id": entry.videoId };
+    if (entry.channelId) query["subject.owner_platform_id"] = entry.channelId;
+
+    const events = await Event.findEffective(query);
+
+    for (const event of events) {
+      try {
+        await Event.appendRevision(event.id, {
+          kind: "retraction",
+          reason: `Video deleted on YouTube at ${entry.deletedAt.toISOString()}`
+        });
+      } catch (error) {
+        // Already retracted/superseded by a concurrent delivery
+        if (error.status !== 409) throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Instagram: Graph API batch updates.
+ * Valid changes are ingested; if any change is invalid the delivery is then
+ * dead-lettered (retrying won't fix it, and the valid ones dedupe on replay).
+ * Likes and follows carry no id of their own, so they are keyed by the
+ * delivery and their position in it, which stays the same across retries and replays.
+ */
+const processInstagram = async (body, { deliveryId }) => {
+  if (body.object !== "instagram") return;
+
+  const invalid = [];
+
+  for (const [entryIndex, entry] of (body.entry || []).entries()) {
+    const userId = entry.id;
+
+    const user = await User.findOne({ "instagram.id": userId });
+    if (!user) continue;
+
+    for (const [changeIndex, change] of (entry.changes || []).entries()) {
+      const field = change.field;
+      const value = change.value;
+
+      let eventType = "engagement";
+
+      // Map Instagram fields to event types
+      if (field === "likes") eventType = "engagement";
+      if (field === "comments") eventType = "comment";
+      if (field === "follows") eventType = "follow";
+
+      // Left undefined when missing or unparseable, so validation rejects it
+      const createdAt = new Date(Number(value?.created_time) * 1000);
+
+      const eventData = {
+        type: eventType,
+        platform: "instagram",
+        actor: {
+          platform_user_id: value?.from?.id || "unknown",
+          username: value?.from?.username || "unknown"
+        },
+        subject: {
+          content_id: value?.media_id || userId,
+          content_type: value?.media_id ? (INSTAGRAM_MEDIA_TYPES[value.media_type] || "post") : "profile",
+          owner_platform_id: userId
+        },
+        metrics: {
+          count: 1
+        },
+        metadata: {
+          source: "webhook",
+          raw_event_id: value?.id || `ig_wh_${deliveryId}_${entryIndex}_${changeIndex}`
+        },
+        timestamp: isNaN(createdAt.getTime()) ? undefined : createdAt.toISOString()
+      };
+
+      const errors = collectEventErrors(eventData);
+      if (errors.length > 0) {
+        invalid.push(`${field}: ${errors.map(e => e.message).join("; ")}`);
+        continue;
+      }
+
+      await Event.ingest({ ...eventData, pinscore_user_id: user._id });
+    }
+  }
+
+  if (invalid.length > 0) {
+    throw permanentError(`Invalid Instagram change(s): ${invalid.join(" | ")}`);
+  }
+};
+
+/**
+ * Classify a tweet_create_events entry relative to the subscribed account.
+ * Returns { type, contentId, key } or null when it isn't an engagement with their content.
+ */
+const classifyTweet = (tweet, forUserId) => {
+  if (tweet.user.id_str === forUserId) return null; // the account's own tweet
+
+  if (tweet.retweeted_status?.user.id_str === forUserId) {
+    return { type: "share", contentId: tweet.retweeted_status.id_str, key: "rt" };
+  }
+  if (tweet.is_quote_status && tweet.quoted_status?.user.id_str === forUserId) {
+    return { type: "share", contentId: tweet.quoted_status.id_str, key: "quote" };
+  }
+  if (tweet.in_reply_to_user_id_str === forUserId && tweet.in_reply_to_status_id_str) {
+    return { type: "comment", contentId: tweet.in_reply_to_status_id_str, key: "reply" };
+  }
+
+  return null;
+};
+
+/**
+ * Twitter/X: Account Activity API events
+ * (for_user_id is the subscribed account the activity is about)
+ */
+const processTwitter = async (body) => {
+  const forUserId = body.for_user_id;
+  const owner = forUserId ? await User.findOne({ "twitter.id": forUserId }) : null;
+
+  for (const event of body.favorite_events || []) {
+    // Also delivered when the account itself likes someone else's tweet: attribute to the tweet's author
+    const user = await User.findOne({ "twitter.id": event.favorited_status.user.id_str });
+    if (!user) continue;
+
+    await Event.createEvent({
+      type: "engagement",
+      platform: "twitter",
+      actor: {
+        platform_user_id: event.user.id_str,
+        username: event.user.screen_name
+      },
+      subject: {
+        content_id: event.favorited_status.id_str,
+        content_type: "post",
+        owner_platform_id: event.favorited_status.user.id_str
+      },
+      metrics: {
+        count: 1
+      },
+      metadata: {
+        source: "webhook",
+        // A like is unique per (liker, tweet); the tweet id alone would collapse all likes
+        raw_event_id: `fav_${event.user.id_str}_${event.favorited_status.id_str}`
+      },
+      timestamp: new Date(event.created_at).toISOString(),
+      pinscore_user_id: user._id
+    });
+  }
+
+  if (!owner) return;
+
+  // New followers of the account (unfollows have no canonical event type)
+  for (const event of body.follow_events || []) {
+    if (event.type !== "follow" || event.target.id !== forUserId) continue;
+
+    await Event.createEvent({
+      type: "follow",
+      platform: "twitter",
+      actor: {
+        platform_user_id: event.source.id,
+        username: event.source.screen_name
+      },
+      subject: {
+        content_id: forUserId,
+        content_type: "profile",
+        owner_platform_id: forUserId
+      },
+      metrics: {
+        count: 1
+      },
+      metadata: {
+        source: "webhook",
+        raw_event_id: `follow_${event.source.id}_${forUserId}`
+      },
+      timestamp: new Date(Number(event.created_timestamp) || Date.now()).toISOString(),
+      pinscore_user_id: owner._id
+    });
+  }
+
+  // Replies, quotes and retweets of the account's tweets
+  for (const tweet of body.tweet_create_events || []) {
+    const engagement = classifyTweet(tweet, forUserId);
+    if (!engagement) continue;
+
+    await Event.createEvent({
+      type: engagement.type,
+      platform: "twitter",
+      actor: {
+        platform_user_id: tweet.user.id_str,
+        username: tweet.user.screen_name
+      },
+      subject: {
+        content_id: engagement.contentId,
+        content_type: "post",
+        owner_platform_id: forUserId
+      },
+      metrics: {
+        count: 1
+      },
+      metadata: {
+        source: "webhook",
+        raw_event_id: `${engagement.key}_${tweet.id_str}`
+      },
+      timestamp: new Date(Number(tweet.timestamp_ms) || tweet.created_at).toISOString(),
+      pinscore_user_id: owner._id
+    });
+  }
+};
+
+// TikTok webhook events -> raw payloads understood by normalizeTikTokEvent
+const TIKTOK_EVENT_HANDLERS = {
+  // The creator is the actor of their own upload
+  "video.publish.completed": ({ user_openid, create_time }, content, owner) => {
+    const videoId = content.video_id || content.share_id;
+    return {
+      engagement_type: "publish",
+      video: { id: videoId, author_id: user_openid },
+      user: { open_id: user_openid, username: owner.tiktok.username || user_openid },
+      create_time,
+      raw_event_id: `tt_publish_${videoId}`
+    };
+  },
+  "video.engagement": ({ user_openid, create_time }, content) => ({
+    engagement_type: content.engagement_type,
+    video: { id: content.video_id, author_id: user_openid },
+    user: content.user,
+    create_time,
+    raw_event_id: content.event_id
+  }),
+  "user.follower.change": ({ user_openid, create_time }, content) => {
+    // Unfollows have no canonical event type
+    if (content.action !== "follow") return null;
+    return {
+      engagement_type: "follow",
+      profile: { open_id: user_openid },
+      user: content.follower,
+      create_time
+    };
+  }
+};
+TIKTOK_EVENT_HANDLERS["video.publish.complete"] = TIKTOK_EVENT_HANDLERS["video.publish.completed"];
+
+/**
+ * TikTok: { client_key, event, create_time, user_openid, content }
+ * where content is a JSON-encoded string
+ */
+const processTikTok = async (body) => {
+  const handler = TIKTOK_EVENT_HANDLERS[body.event];
+  if (!handler) {
+    console.log(`Ignoring TikTok webhook event: ${body.event}`);
+    return;
+  }
+
+  const user = await User.findOne({ "tiktok.id": body.user_openid });
+  if (!user) {
+    console.log(`No user found for TikTok account: ${body.user_openid}`);
+    return;
+  }
+
+  let eventData;
+  try {
+    const content = typeof body.content === "string" ? JSON.parse(body.content) : (body.content || {});
+    const raw = handler(body, content, user);
+    eventData = raw && normalizeTikTokEvent({ ...raw, source: "webhook" });
+  } catch (error) {
+    throw permanentError(`Invalid TikTok event payload: ${error.message}`);
+  }
+
+  if (!eventData) return;
+
+  const errors = collectEventErrors(eventData);
+  if (errors.length > 0) {
+    throw permanentError(`Invalid TikTok event payload: ${errors.map(e => e.message).join("; ")}`);
+  }
+
+  await Event.ingest({ ...eventData, pinscore_user_id: user._id });
+};
+
+// Each processor is called as processor(payload, { deliveryId }), where
+// deliveryId is the inbox entry's id (kept when a dead letter is replayed)
+module.exports = {
+  PROCESSORS: {
+    youtube: processYouTube,
+    instagram: processInstagram,
+    twitter: processTwitter,
+    tiktok: processTikTok
+  },
+  permanentError
+};
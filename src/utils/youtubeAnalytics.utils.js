@@ -0,0 +1,78 @@
+// src/utils/youtubeAnalytics.utils.js
+const axios = require("axios");
+
+const REPORTS_URL = "https://youtubeanalytics.googleapis.com/v2/reports";
+
+// Requested at connect time alongside youtube.readonly
+const ANALYTICS_SCOPE = "https://www.googleapis.com/auth/yt-analytics.readonly";
+
+const DAILY_METRICS = [
+  "views",
+  "likes",
+  "comments",
+  "shares",
+  "subscribersGained",
+  "videosAddedToPlaylists",
+  "estimatedMinutesWatched",
+  "averageViewDuration"
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * { startDate, endDate } (YYYY-MM-DD) covering the last `days` days, today included
+ */
+const dateRange = (days) => {
+  const end = new Date();
+  return {
+    startDate: new Date(end.getTime() - (days - 1) * DAY_MS).toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10)
+  };
+};
+
+/**
+ * reports.query for the authorized channel; rows come back keyed by column name
+ */
+const queryReport = async (accessToken, params) => {
+  const response = await axios.get(REPORTS_URL, {
+    params: { ids: "channel==MINE", ...params },
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  const columns = (response.data.columnHeaders || []).map(header => header.name);
+  return (response.data.rows || []).map(row => Object.fromEntries(row.map((value, i) => [columns[i], value])));
+};
+
+/**
+ * One row per day: { day, views, likes, ..., averageViewDuration (seconds) }
+ */
+exports.getDailyReport = (accessToken, { days = 28 } = {}) => {
+  return queryReport(accessToken, {
+    ...dateRange(days),
+    metrics: DAILY_METRICS.join(","),
+    dimensions: "day",
+    sort: "day"
+  });
+};
+
+/**
+ * Viewer percentage per age group and gender: [{ ageGroup, gender, viewerPercentage }]
+ */
+exports.getDemographics = (accessToken, { days = 28 } = {}) => {
+  return queryReport(accessToken, {
+    ...dateRange(days),
+    metrics: "viewerPercentage",
+    dimensions: "ageGroup,gender",
+    sort: "gender,ageGroup"
+  });
+};
+
+/**
+ * A 403 here means the connection was authorized before ANALYTICS_SCOPE was requested
+ */
+exports.isMissingScope = (error) => {
+  return error.response?.status === 403;
+};
+
+exports.ANALYTICS_SCOPE = ANALYTICS_SCOPE;
+exports.DAILY_METRICS = DAILY_METRICS;
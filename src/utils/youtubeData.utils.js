@@ -0,0 +1,98 @@
+// src/utils/youtubeData.utils.js
+const axios = require("axios");
+
+const API_BASE = "https://www.googleapis.com/youtube/v3";
+
+// playlistItems and videos both cap maxResults / id lists at 50
+const PAGE_SIZE = 50;
+
+// Shorts aren't flagged by the Data API; anything up to 3 minutes is treated as one
+const SHORT_MAX_SECONDS = 180;
+
+const api = (accessToken, path, params) => {
+  return axios.get(`${API_BASE}${path}`, {
+    params,
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+};
+
+/**
+ * ISO 8601 duration ("PT1H2M3S") -> seconds
+ */
+const durationSeconds = (duration) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || "");
+  if (!match) return 0;
+
+  const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+/**
+ * The "uploads" playlist holding every public video of the authorized channel
+ */
+exports.getUploadsPlaylistId = async (accessToken) => {
+  const response = await api(accessToken, "/channels", { part: "contentDetails", mine: true });
+  return response.data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads || null;
+};
+
+/**
+ * Video ids in a playlist, newest first, up to `max`
+ */
+exports.listPlaylistVideoIds = async (accessToken, playlistId, { max = 200 } = {}) => {
+  const ids = [];
+  let pageToken;
+
+  do {
+    const response = await api(accessToken, "/playlistItems", {
+      part: "contentDetails",
+      playlistId,
+      maxResults: PAGE_SIZE,
+      pageToken
+    });
+
+    for (const item of response.data.items || []) {
+      ids.push(item.contentDetails.videoId);
+    }
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && ids.length < max);
+
+  return ids.slice(0, max);
+};
+
+/**
+ * Statistics for the given videos:
+ * [{ id, title, publishedAt, durationSeconds, contentType, stats: { views, likes, comments } }]
+ * Counters the owner has hidden or disabled (likes, comments) are left undefined.
+ */
+exports.getVideos = async (accessToken, videoIds) => {
+  const videos = [];
+
+  for (let i = 0; i < videoIds.length; i += PAGE_SIZE) {
+    const response = await api(accessToken, "/videos", {
+      part: "snippet,contentDetails,statistics",
+      id: videoIds.slice(i, i + PAGE_SIZE).join(",")
+    });
+
+    for (const item of response.data.items || []) {
+      const seconds = durationSeconds(item.contentDetails?.duration);
+      const counter = (value) => value === undefined ? undefined : Number(value);
+
+      videos.push({
+        id: item.id,
+        title: item.snippet?.title,
+        publishedAt: item.snippet?.publishedAt,
+        durationSeconds: seconds,
+        contentType: seconds > 0 && seconds <= SHORT_MAX_SECONDS ? "short" : "video",
+        stats: {
+          views: counter(item.statistics?.viewCount),
+          likes: counter(item.statistics?.likeCount),
+          comments: counter(item.statistics?.commentCount)
+        }
+      });
+    }
+  }
+
+  return videos;
+};
+
+exports.durationSeconds = durationSeconds;
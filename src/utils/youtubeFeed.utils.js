@@ -0,0 +1,72 @@
+// src/utils/youtubeFeed.utils.js
+const { XMLParser } = require("fast-xml-parser");
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseTagValue: false,
+  trimValues: true
+});
+
+const FEED_URL = "https://www.youtube.com/xml/feeds/videos.xml";
+
+const toArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * PubSubHubbub topic URL for a channel's uploads feed
+ */
+exports.youtubeTopicUrl = (channelId) => {
+  return `${FEED_URL}?channel_id=${encodeURIComponent(channelId)}`;
+};
+
+/**
+ * Extract the channel id from a topic URL (null if it isn't a YouTube channel feed)
+ */
+exports.channelIdFromTopic = (topic) => {
+  try {
+    const url = new URL(topic);
+    if (`${url.origin}${url.pathname}` !== FEED_URL) return null;
+    return url.searchParams.get("channel_id");
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a PubSubHubbub Atom notification
+ *
+ * Returns:
+ *   entries: [{ videoId, channelId, title, author, published, updated }]  (new or updated videos)
+ *   deleted: [{ videoId, channelId, deletedAt }]                          (at:deleted-entry)
+ */
+exports.parseYouTubeNotification = (xml) => {
+  const document = parser.parse(String(xml || ""));
+  const feed = document.feed;
+
+  if (!feed) {
+    throw new Error("Not an Atom feed");
+  }
+
+  const entries = toArray(feed.entry).map(entry => ({
+    videoId: entry["yt:videoId"],
+    channelId: entry["yt:channelId"],
+    title: entry.title || null,
+    author: entry.author?.name || null,
+    published: entry.published ? new Date(entry.published) : null,
+    updated: entry.updated ? new Date(entry.updated) : null
+  })).filter(entry => entry.videoId && entry.channelId);
+
+  const deleted = toArray(feed["at:deleted-entry"]).map(entry => {
+    // ref="yt:video:<id>", author uri ".../channel/<channelId>"
+    const ref = entry["@_ref"] || "";
+    const authorUri = entry["at:by"]?.uri || "";
+
+    return {
+      videoId: ref.replace(/^yt:video:/, ""),
+      channelId: authorUri.split("/channel/")[1] || null,
+      deletedAt: entry["@_when"] ? new Date(entry["@_when"]) : new Date()
+    };
+  }).filter(entry => entry.videoId);
+
+  return { entries, deleted };
+};
@@ -0,0 +1,180 @@
+// src/utils/youtubeSubscription.utils.js
+const axios = require("axios");
+const User = require("../schema/user.schema");
+const { youtubeTopicUrl } = require("./youtubeFeed.utils");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_HUB_URL = "https://pubsubhubbub.appspot.com/subscribe";
+const DEFAULT_LEASE_SECONDS = 432000; // 5 days
+const RENEW_BEFORE_MS = 24 * HOUR_MS;
+const RETRY_AFTER_MS = HOUR_MS; // don't re-request a subscription the hub hasn't verified yet
+const RENEW_INTERVAL_MS = HOUR_MS;
+
+// Read per call so a stub hub / callback can be swapped in at runtime
+const hubUrl = () => process.env.YOUTUBE_HUB_URL || DEFAULT_HUB_URL;
+const callbackUrl = () => process.env.YOUTUBE_WEBHOOK_CALLBACK_URL;
+const leaseSeconds = () => Number(process.env.YOUTUBE_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS;
+
+/**
+ * Send a subscribe/unsubscribe request to the hub.
+ * The hub answers 202 and verifies intent later with a GET to our callback.
+ */
+exports.requestSubscription = async (channelId, mode = "subscribe") => {
+  if (!callbackUrl()) {
+    throw new Error("YOUTUBE_WEBHOOK_CALLBACK_URL is not configured");
+  }
+
+  const form = new URLSearchParams({
+    "hub.callback": callbackUrl(),
+    "hub.topic": youtubeTopicUrl(channelId),
+    "hub.mode": mode,
+    "hub.verify": "async"
+  });
+
+  if (mode === "subscribe") {
+    form.append("hub.lease_seconds", String(leaseSeconds()));
+    if (process.env.YOUTUBE_WEBHOOK_SECRET) {
+      form.append("hub.secret", process.env.YOUTUBE_WEBHOOK_SECRET);
+    }
+  }
+
+  try {
+    const response = await axios.post(hubUrl(), form, { timeout: 10000 });
+    return response.status;
+  } catch (error) {
+    const detail = error.response ? `${error.response.status} ${error.response.data}` : error.message;
+    throw new Error(`Hub ${mode} failed for ${channelId}: ${detail}`);
+  }
+};
+
+/**
+ * Subscribe a channel; it stays pending until the hub verifies it
+ */
+exports.subscribeChannel = async (channelId) => {
+  const requestedAt = new Date();
+
+  // Marked before the request: the hub's verification GET can arrive before it returns
+  await User.updateMany(
+    { "youtube.channelId": channelId },
+    {
+      $set: {
+        "youtube.subscription.status": "pending",
+        "youtube.subscription.requestedAt": requestedAt
+      },
+      $unset: { "youtube.subscription.lastError": "" }
+    }
+  );
+
+  try {
+    await exports.requestSubscription(channelId, "subscribe");
+  } catch (error) {
+    await User.updateMany(
+      { "youtube.channelId": channelId },
+      {
+        $set: {
+          "youtube.subscription.status": "failed",
+          "youtube.subscription.lastError": error.message
+        }
+      }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Stop push notifications for a channel (called on disconnect)
+ */
+exports.unsubscribeChannel = async (channelId) => {
+  await exports.requestSubscription(channelId, "unsubscribe");
+};
+
+/**
+ * Record a verified subscription and its lease.
+ * Only a pending request (one subscribeChannel sent) is confirmed, and the lease
+ * is capped at what was requested. Returns false otherwise (the hub should be refused).
+ */
+exports.confirmSubscription = async (channelId, grantedSeconds) => {
+  const seconds = Math.min(Number(grantedSeconds) || leaseSeconds(), leaseSeconds());
+
+  const result = await User.updateMany(
+    { "youtube.channelId": channelId, "youtube.subscription.status": "pending" },
+    {
+      $set: {
+        "youtube.subscription.status": "active",
+        "youtube.subscription.leaseExpiresAt": new Date(Date.now() + seconds * 1000)
+      },
+      $unset: { "youtube.subscription.lastError": "" }
+    }
+  );
+
+  return result.matchedCount > 0;
+};
+
+/**
+ * Re-subscribe channels whose lease is missing or expires within RENEW_BEFORE_MS.
+ * Returns the number of channels requested.
+ */
+exports.renewExpiringSubscriptions = async (now = new Date()) => {
+  const renewBy = new Date(now.getTime() + RENEW_BEFORE_MS);
+  const retryBefore = new Date(now.getTime() - RETRY_AFTER_MS);
+
+  const channelIds = await User.distinct("youtube.channelId", {
+    "youtube.channelId": { $ne: null },
+    $and: [
+      {
+        $or: [
+          { "youtube.subscription.leaseExpiresAt": null },
+          { "youtube.subscription.leaseExpiresAt": { $lte: renewBy } }
+        ]
+      },
+      {
+        $or: [
+          { "youtube.subscription.requestedAt": null },
+          { "youtube.subscription.requestedAt": { $lte: retryBefore } }
+        ]
+      }
+    ]
+  });
+
+  let requested = 0;
+  for (const channelId of channelIds) {
+    try {
+      await exports.subscribeChannel(channelId);
+      requested++;
+    } catch (error) {
+      console.error("YouTube subscription renewal error:", error.message);
+    }
+  }
+
+  return requested;
+};
+
+/**
+ * Hourly lease renewal (no-op without a callback URL)
+ */
+exports.startYoutubeSubscriptionScheduler = () => {
+  if (!callbackUrl()) return null;
+
+  let running = false;
+
+  const handle = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const requested = await exports.renewExpiringSubscriptions();
+      if (requested > 0) {
+        console.log(`YouTube: renewed ${requested} push subscription(s)`);
+      }
+    } catch (error) {
+      console.error("YouTube subscription scheduler error:", error);
+    } finally {
+      running = false;
+    }
+  }, RENEW_INTERVAL_MS);
+
+  // Don't keep the process alive just for renewals
+  handle.unref();
+  return handle;
+};
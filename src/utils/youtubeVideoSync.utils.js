@@ -0,0 +1,159 @@
+// src/utils/youtubeVideoSync.utils.js
+// Per-video YouTube events. Uploads are listed from the channel's uploads playlist
+// and their counters snapshotted; only the change since the last snapshot becomes an event.
+const Event = require("../schema/event.schema");
+const User = require("../schema/user.schema");
+const youtubeData = require("./youtubeData.utils");
+const { getAccessToken } = require("./tokenManager.utils");
+const { recordSnapshot } = require("./metricSnapshot.utils");
+
+const SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Dashboard loads within this window reuse the previous sync
+const MIN_SYNC_GAP_MS = 15 * 60 * 1000;
+const MAX_VIDEOS = 200;
+
+// Data API counter -> canonical event type
+const VIDEO_METRICS = {
+  views: { type: "impression", audience: "viewers" },
+  likes: { type: "engagement", audience: "likers" },
+  comments: { type: "comment", audience: "commenters" }
+};
+
+const videoEvent = (user, channelId, video, { metric, delta }, sequence, capturedAt) => {
+  const { type, audience } = VIDEO_METRICS[metric];
+
+  return {
+    type,
+    platform: "youtube",
+    actor: {
+      platform_user_id: "aggregate",
+      username: `youtube_${audience}`
+    },
+    subject: {
+      content_id: video.id,
+      content_type: video.contentType,
+      owner_platform_id: channelId
+    },
+    metrics: {
+      // Negative for unlikes and removed comments
+      count: delta
+    },
+    metadata: {
+      source: "api",
+      raw_event_id: `yt_video_${metric}_${video.id}_${sequence}`
+    },
+    timestamp: capturedAt.toISOString(),
+    pinscore_user_id: user._id
+  };
+};
+
+/**
+ * Sync the latest uploads of a user's channel and emit delta events.
+ * Skipped (returns null) when the channel was synced less than MIN_SYNC_GAP_MS ago,
+ * unless `force` is set. Returns { videos, events } otherwise.
+ * A video's first snapshot is a baseline without events; `backfill` records its
+ * lifetime counters as events instead (for an explicit historical import).
+ */
+exports.syncChannelVideos = async (user, { force = false, maxVideos = MAX_VIDEOS, backfill = false } = {}) => {
+  const channelId = user.youtube?.channelId;
+  if (!channelId) return null;
+
+  const lastSync = user.youtube.videosSyncedAt?.getTime() || 0;
+  if (!force && Date.now() - lastSync < MIN_SYNC_GAP_MS) return null;
+
+  const fetchVideos = async (accessToken) => {
+    const playlistId = await youtubeData.getUploadsPlaylistId(accessToken);
+    if (!playlistId) return [];
+
+    const videoIds = await youtubeData.listPlaylistVideoIds(accessToken, playlistId, { max: maxVideos });
+    return youtubeData.getVideos(accessToken, videoIds);
+  };
+
+  let videos;
+  try {
+    videos = await fetchVideos(await getAccessToken(user, "youtube"));
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    // Token revoked or expired early: refresh once and retry
+    videos = await fetchVideos(await getAccessToken(user, "youtube", { force: true }));
+  }
+
+  const syncedAt = new Date();
+  let events = 0;
+
+  for (const video of videos) {
+    await recordSnapshot({
+      userId: user._id,
+      platform: "youtube",
+      subject: { content_id: video.id, content_type: video.contentType, owner_platform_id: channelId },
+      // Hidden counters (likes, disabled comments) are undefined and skipped
+      counters: video.stats,
+      capturedAt: syncedAt,
+      backfill,
+      // Events are written before the snapshot advances
+      emit: async (changes, { sequence, capturedAt }) => {
+        for (const change of changes) {
+          await Event.createEvent(videoEvent(user, channelId, video, change, sequence, capturedAt));
+          events++;
+        }
+      }
+    });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { "youtube.videosSyncedAt": syncedAt } });
+
+  if (events > 0) {
+    console.log(`✅ YouTube video sync for user ${user._id}: ${events} event(s) from ${videos.length} video(s)`);
+  }
+
+  return { videos: videos.length, events };
+};
+
+/**
+ * Sync every connected channel
+ */
+exports.syncAllChannels = async () => {
+  const users = await User.find({
+    "youtube.channelId": { $ne: null },
+    "youtube.accessToken": { $ne: null },
+    "youtube.authStatus": { $ne: "needs_reauth" }
+  });
+
+  let synced = 0;
+  for (const user of users) {
+    try {
+      if (await exports.syncChannelVideos(user)) synced++;
+    } catch (error) {
+      console.error(`YouTube video sync failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  return synced;
+};
+
+/**
+ * Sync connected channels every SYNC_INTERVAL_MS
+ */
+exports.startYoutubeVideoSync = () => {
+  let running = false;
+
+  const handle = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const synced = await exports.syncAllChannels();
+      if (synced > 0) {
+        console.log(`YouTube: synced videos for ${synced} channel(s)`);
+      }
+    } catch (error) {
+      console.error("YouTube video sync error:", error);
+    } finally {
+      running = false;
+    }
+  }, SYNC_INTERVAL_MS);
+
+  // Don't keep the process alive just for syncs
+  handle.unref();
+  return handle;
+};
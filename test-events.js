@@ -5,6 +5,11 @@ const axios = require("axios");
 
 const BASE_URL = "http://localhost:5000/api/events";
 
+// Ingestion requires an API key scoped to the sample platforms and "api" source
+// (create one via POST /api/api-keys as an admin)
+const API_KEY = process.env.PINSCORE_API_KEY;
+const ingestConfig = { headers: { "X-API-Key": API_KEY } };
+
 // Sample valid events for each platform
 const sampleEvents = {
   twitter: {
@@ -103,7 +108,7 @@ async function testSingleIngestion() {
   console.log("\n🧪 Testing single event ingestion...");
   
   try {
-    const response = await axios.post(`${BASE_URL}/ingest`, sampleEvents.twitter);
+    const response = await axios.post(`${BASE_URL}/ingest`, sampleEvents.twitter, ingestConfig);
     
     if (response.data.success) {
       console.log("✅ Single ingestion SUCCESS");
@@ -122,12 +127,14 @@ async function testBatchIngestion() {
   const events = Object.values(sampleEvents);
   
   try {
-    const response = await axios.post(`${BASE_URL}/ingest/batch`, { events });
+    const response = await axios.post(`${BASE_URL}/ingest/batch`, { events }, ingestConfig);
     
     if (response.data.success) {
-      console.log("✅ Batch ingestion SUCCESS");
-      console.log("   Successful:", response.data.data.successful.length);
-      console.log("   Failed:", response.data.data.failed.length);
+      const { summary } = response.data.data;
+      console.log(`✅ Batch ingestion SUCCESS (HTTP ${response.status})`);
+      console.log("   Accepted:", summary.accepted);
+      console.log("   Duplicates:", summary.duplicate);
+      console.log("   Rejected:", summary.rejected);
     }
   } catch (error) {
     console.log("❌ Batch ingestion FAILED");
@@ -145,7 +152,7 @@ async function testValidation() {
   };
   
   try {
-    await axios.post(`${BASE_URL}/ingest`, invalidEvent);
+    await axios.post(`${BASE_URL}/ingest`, invalidEvent, ingestConfig);
     console.log("❌ Validation FAILED - should have rejected invalid event");
   } catch (error) {
     if (error.response?.status === 400) {
@@ -235,11 +242,19 @@ async function testPlatformNormalization() {
   };
   
   try {
-    // Note: You need to create this endpoint or test via controller directly
-    console.log("⚠️  Normalization test requires custom endpoint");
-    console.log("   Sample input:", JSON.stringify(rawInstagramData, null, 2));
+    const response = await axios.post(`${BASE_URL}/ingest/raw/instagram`, rawInstagramData, ingestConfig);
+    const [result] = response.data.data.results;
+    
+    if (result.canonical_event) {
+      console.log("✅ Normalization SUCCESS");
+      console.log("   Status:", result.status);
+      console.log("   Content type:", result.canonical_event.subject.content_type);
+    } else {
+      console.log("❌ Normalization FAILED");
+      console.log("   Errors:", result.errors);
+    }
   } catch (error) {
-    console.log("❌ Normalization test error:", error.message);
+    console.log("❌ Normalization test error:", error.response?.data || error.message);
   }
 }
 
@@ -253,7 +268,7 @@ async function testTimestampValidation() {
   };
   
   try {
-    await axios.post(`${BASE_URL}/ingest`, futureEvent);
+    await axios.post(`${BASE_URL}/ingest`, futureEvent, ingestConfig);
     console.log("❌ Timestamp validation FAILED - accepted future timestamp");
   } catch (error) {
     if (error.response?.data?.message?.includes("future")) {
@@ -0,0 +1,164 @@
+// test-metric-snapshots.js - Counter diffs and snapshot recording
+// Run with: node test-metric-snapshots.js
+// (no database needed: the snapshot model is stubbed with an in-memory collection)
+
+const MetricSnapshot = require("./src/schema/metricSnapshot.schema");
+const { diffCounters, recordSnapshot, pickCounters } = require("./src/utils/metricSnapshot.utils");
+
+// In-memory metric_snapshots with the unique (user, platform, content, sequence) index
+let snapshots = [];
+
+MetricSnapshot.findOne = (filter) => ({
+  sort: () => ({
+    lean: async () => snapshots
+      .filter(snapshot => snapshot.pinscore_user_id === filter.pinscore_user_id
+        && snapshot.platform === filter.platform
+        && snapshot.content_id === filter.content_id)
+      .sort((a, b) => b.sequence - a.sequence)[0] || null
+  })
+});
+
+MetricSnapshot.create = async (doc) => {
+  const taken = snapshots.some(snapshot => snapshot.pinscore_user_id === doc.pinscore_user_id
+    && snapshot.platform === doc.platform
+    && snapshot.content_id === doc.content_id
+    && snapshot.sequence === doc.sequence);
+  if (taken) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+  snapshots.push(doc);
+  return doc;
+};
+
+const SUBJECT = { content_id: "video_1", content_type: "video", owner_platform_id: "channel_1" };
+
+const record = (counters, options = {}) => recordSnapshot({
+  userId: "user_1",
+  platform: "youtube",
+  subject: SUBJECT,
+  counters,
+  ...options
+});
+
+const deltas = (changes) => Object.fromEntries(changes.map(change => [change.metric, change.delta]));
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+function testDiffCounters() {
+  console.log("\n🧪 Testing diffCounters...");
+
+  const checks = {
+    increase: same(deltas(diffCounters({ likes: 10 }, { likes: 14 })), { likes: 4 }),
+    unchanged: diffCounters({ likes: 10 }, { likes: 10 }).length === 0,
+    // Large drops are losses, not guessed resets
+    "large decrease": same(deltas(diffCounters({ followers: 30 }, { followers: 10 })), { followers: -20 }),
+    "drop to zero": same(deltas(diffCounters({ views: 100 }, { views: 0 })), { views: -100 }),
+    // New counters are a baseline unless backfilling
+    baseline: same(deltas(diffCounters({}, { views: 500 })), { views: 0 }),
+    backfill: same(deltas(diffCounters({}, { views: 500 }, { backfill: true })), { views: 500 }),
+    // Hidden counters produce nothing
+    "missing counter": diffCounters({ likes: 10 }, { likes: undefined, views: NaN }).length === 0
+  };
+
+  const failed = Object.keys(checks).filter(name => !checks[name]);
+  console.log(failed.length === 0 ? "✅ diffCounters SUCCESS" : "❌ diffCounters FAILED");
+  if (failed.length > 0) console.log("   Failed:", failed.join(", "));
+}
+
+async function testFirstSnapshotIsBaseline() {
+  console.log("\n🧪 Testing the first snapshot is a baseline...");
+  snapshots = [];
+
+  const emitted = [];
+  const emit = async (changes) => emitted.push(...changes);
+
+  const first = await record({ views: 1000, likes: 50 }, { emit });
+  const second = await record({ views: 1040, likes: 49 }, { emit });
+
+  const ok = first.changes.length === 0
+    && snapshots.length === 2
+    && second.sequence === 2
+    && same(deltas(emitted), { views: 40, likes: -1 });
+
+  console.log(ok ? "✅ Baseline SUCCESS" : "❌ Baseline FAILED");
+  if (!ok) console.log("   Emitted:", emitted, "Snapshots:", snapshots);
+}
+
+async function testFailedEmitKeepsSnapshot() {
+  console.log("\n🧪 Testing a failed event write doesn't advance the snapshot...");
+  snapshots = [];
+  await record({ views: 100 });
+
+  let failedWith = null;
+  try {
+    await record({ views: 130 }, {
+      emit: async () => {
+        throw new Error("event store unavailable");
+      }
+    });
+  } catch (error) {
+    failedWith = error.message;
+  }
+
+  // The retry diffs against the same snapshot and reuses its sequence
+  let retried = null;
+  await record({ views: 130 }, {
+    emit: async (changes, { sequence }) => {
+      retried = { sequence, delta: changes[0].delta };
+    }
+  });
+
+  const ok = failedWith === "event store unavailable"
+    && snapshots.length === 2
+    && retried?.sequence === 2
+    && retried.delta === 30;
+
+  console.log(ok ? "✅ Failed emit SUCCESS" : "❌ Failed emit FAILED");
+  if (!ok) console.log("   Retried:", retried, "Snapshots:", snapshots.length);
+}
+
+async function testHiddenCounterKeepsLastValue() {
+  console.log("\n🧪 Testing a hidden counter keeps its last value...");
+  snapshots = [];
+  await record({ views: 100, likes: 10 });
+
+  // Likes hidden by the owner, then shown again
+  const hidden = await record({ views: 120, likes: undefined });
+  const shown = await record({ views: 120, likes: 12 });
+
+  const ok = same(deltas(hidden.changes), { views: 20 })
+    && snapshots[1].counters.likes === 10
+    && same(deltas(shown.changes), { likes: 2 });
+
+  console.log(ok ? "✅ Hidden counter SUCCESS" : "❌ Hidden counter FAILED");
+  if (!ok) console.log("   Snapshots:", snapshots.map(snapshot => snapshot.counters));
+}
+
+function testPickCounters() {
+  console.log("\n🧪 Testing pickCounters...");
+
+  const picked = pickCounters({ likes: "12", comments: null, saved: 0 }, ["likes", "comments", "saved", "shares"]);
+
+  // null (withheld) must not become 0
+  const ok = same(picked, { likes: 12, saved: 0 });
+  console.log(ok ? "✅ pickCounters SUCCESS" : "❌ pickCounters FAILED");
+  if (!ok) console.log("   Picked:", picked);
+}
+
+async function runAllTests() {
+  console.log("=====================================");
+  console.log("Metric Snapshot Test Suite");
+  console.log("=====================================");
+
+  testDiffCounters();
+  await testFirstSnapshotIsBaseline();
+  await testFailedEmitKeepsSnapshot();
+  await testHiddenCounterKeepsLastValue();
+  testPickCounters();
+
+  console.log("\n=====================================");
+  console.log("✅ Test suite complete!\n");
+}
+
+// Execute if run directly
+if (require.main === module) {
+  runAllTests().catch(console.error);
+}
@@ -0,0 +1,76 @@
+// test-pinscore.js - Pinscore scoring of aggregated event counts
+// Run with: node test-pinscore.js
+// (no database needed: scoreCounts works on already-aggregated rows)
+
+const { scoreCounts } = require("./src/utils/pinscoreEngine.utils");
+
+const row = (platform, type, count) => ({ _id: { platform, type }, count });
+
+function testPositiveCounts() {
+  console.log("\n🧪 Testing positive counts...");
+
+  // 100 follows on Threads = 1000 points against a 500 point baseline
+  const { score, platforms } = scoreCounts([row("threads", "follow", 100)]);
+  const expected = Math.round(100 * Math.log10(1 + 1000 / 500) * 100) / 100;
+
+  const ok = score === expected && platforms[0].points === 1000;
+  console.log(ok ? "✅ Positive counts SUCCESS" : "❌ Positive counts FAILED");
+  if (!ok) console.log("   Got:", score, "expected:", expected);
+}
+
+function testNetLossScoresZero() {
+  console.log("\n🧪 Testing net losses (negative counts)...");
+
+  // 50 lost followers: -500 points, exactly -baseline (log10(0) = -Infinity unclamped)
+  const atBaseline = scoreCounts([row("threads", "follow", -50)]);
+  // 80 lost followers: below -baseline (log10 of a negative = NaN unclamped)
+  const belowBaseline = scoreCounts([row("threads", "follow", -80)]);
+
+  const ok = atBaseline.score === 0
+    && belowBaseline.score === 0
+    && belowBaseline.platforms[0].points === -800
+    && belowBaseline.platforms[0].normalized === 0;
+
+  console.log(ok ? "✅ Net losses score 0" : "❌ Net losses FAILED");
+  if (!ok) console.log("   Got:", atBaseline.score, belowBaseline.score);
+}
+
+function testLossesOffsetGains() {
+  console.log("\n🧪 Testing losses offset gains on the same platform...");
+
+  const mixed = scoreCounts([
+    row("instagram", "engagement", 300),
+    row("instagram", "follow", -5),
+    row("youtube", "follow", -1000)
+  ]);
+  const instagram = mixed.platforms.find(platform => platform.platform === "instagram");
+  const youtube = mixed.platforms.find(platform => platform.platform === "youtube");
+  const expected = Math.round(100 * Math.log10(1 + 250 / 1000) * 100) / 100;
+
+  const ok = instagram.points === 250
+    && instagram.normalized === expected
+    && youtube.contribution === 0
+    && Number.isFinite(mixed.score)
+    && mixed.score === expected;
+
+  console.log(ok ? "✅ Losses offset gains" : "❌ Losses offset gains FAILED");
+  if (!ok) console.log("   Got:", JSON.stringify(mixed));
+}
+
+function runAllTests() {
+  console.log("=====================================");
+  console.log("Pinscore Test Suite");
+  console.log("=====================================");
+
+  testPositiveCounts();
+  testNetLossScoresZero();
+  testLossesOffsetGains();
+
+  console.log("\n=====================================");
+  console.log("✅ Test suite complete!\n");
+}
+
+// Execute if run directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,209 @@
+// test-token-manager.js - Token refresh lock and needs_reauth handling
+// Run with: node test-token-manager.js
+// (no database or network needed: the user model and Twitter's token endpoint are stubbed in memory)
+
+const User = require("./src/schema/user.schema");
+const twitterApi = require("./src/utils/twitterApi.utils");
+const tokenManager = require("./src/utils/tokenManager.utils");
+
+// Short timings so lease expiry can be exercised quickly
+tokenManager.TOKEN_MANAGER.pollMs = 5;
+tokenManager.TOKEN_MANAGER.waitMs = 500;
+
+// One user document, as MongoDB would hold it
+let stored;
+
+const lockedUntil = () => stored.twitter.tokenRefreshLockedUntil;
+
+// Just enough of findOneAndUpdate for the lock: the claim filter, $set and $unset
+User.findOneAndUpdate = async (filter, update) => {
+  if (filter.$or) {
+    const lock = lockedUntil();
+    if (!stored.twitter.accessToken || (lock && lock > new Date())) return null;
+  }
+
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    stored.twitter[path.split(".")[1]] = value;
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    delete stored.twitter[path.split(".")[1]];
+  }
+
+  return { _id: stored._id, twitter: { ...stored.twitter } };
+};
+
+User.findById = () => ({
+  select: async () => ({ _id: stored._id, twitter: { ...stored.twitter } })
+});
+
+let refreshes = 0;
+let refreshResult;
+
+twitterApi.refreshAccessToken = async () => {
+  refreshes++;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return refreshResult();
+};
+
+const reset = (connection = {}) => {
+  refreshes = 0;
+  refreshResult = () => ({
+    accessToken: "fresh_token",
+    refreshToken: "rotated_refresh_token",
+    tokenExpiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+  });
+  stored = {
+    _id: "user_1",
+    twitter: {
+      accessToken: "old_token",
+      refreshToken: "refresh_token",
+      tokenExpiresAt: new Date(Date.now() - 1000),
+      ...connection
+    }
+  };
+};
+
+// A caller's own copy of the user, as loaded by a request
+const loadUser = () => ({ _id: stored._id, twitter: { ...stored.twitter } });
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data }
+});
+
+async function testConcurrentCallersShareRefresh() {
+  console.log("\n🧪 Testing concurrent callers share one refresh...");
+  reset();
+
+  try {
+    const tokens = await Promise.all([
+      tokenManager.getAccessToken(loadUser(), "twitter"),
+      tokenManager.getAccessToken(loadUser(), "twitter"),
+      tokenManager.getAccessToken(loadUser(), "twitter")
+    ]);
+
+    const ok = refreshes === 1
+      && tokens.every(token => token === "fresh_token")
+      && stored.twitter.refreshToken === "rotated_refresh_token"
+      && !lockedUntil();
+
+    console.log(ok ? "✅ Shared refresh SUCCESS" : "❌ Shared refresh FAILED");
+    if (!ok) console.log("   Refreshes:", refreshes, "Tokens:", tokens);
+  } catch (error) {
+    console.log("❌ Shared refresh FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testWaiterUsesHolderResult() {
+  console.log("\n🧪 Testing a waiter uses another process's refresh...");
+  reset({ tokenRefreshLockedUntil: new Date(Date.now() + 30 * 1000) });
+
+  // The other process finishes its refresh and releases the lock
+  setTimeout(() => {
+    stored.twitter.accessToken = "other_process_token";
+    stored.twitter.tokenExpiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    delete stored.twitter.tokenRefreshLockedUntil;
+  }, 50);
+
+  try {
+    const token = await tokenManager.getAccessToken(loadUser(), "twitter");
+
+    const ok = token === "other_process_token" && refreshes === 0;
+    console.log(ok ? "✅ Waiter SUCCESS" : "❌ Waiter FAILED");
+    if (!ok) console.log("   Token:", token, "Refreshes:", refreshes);
+  } catch (error) {
+    console.log("❌ Waiter FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testExpiredLeaseTakenOver() {
+  console.log("\n🧪 Testing an abandoned lease is taken over...");
+  // Holder died mid-refresh: the lease is never released, only expires
+  reset({ tokenRefreshLockedUntil: new Date(Date.now() + 50) });
+
+  try {
+    const token = await tokenManager.getAccessToken(loadUser(), "twitter");
+
+    const ok = token === "fresh_token" && refreshes === 1 && !lockedUntil();
+    console.log(ok ? "✅ Lease takeover SUCCESS" : "❌ Lease takeover FAILED");
+    if (!ok) console.log("   Token:", token, "Refreshes:", refreshes);
+  } catch (error) {
+    console.log("❌ Lease takeover FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testRefusalMarksNeedsReauth() {
+  console.log("\n🧪 Testing a refused refresh marks needs_reauth...");
+  reset();
+  refreshResult = () => {
+    throw httpError(400, { error: "invalid_grant", error_description: "Refresh token revoked" });
+  };
+
+  try {
+    await tokenManager.getAccessToken(loadUser(), "twitter");
+    console.log("❌ needs_reauth FAILED (token returned)");
+    return;
+  } catch (error) {
+    const ok = error.code === "needs_reauth"
+      && error.status === 409
+      && stored.twitter.authStatus === "needs_reauth"
+      && stored.twitter.authError === "Refresh token revoked"
+      && !lockedUntil();
+
+    console.log(ok ? "✅ Refusal marked needs_reauth" : "❌ needs_reauth FAILED");
+    if (!ok) console.log("   Error:", error.message, "Stored:", stored.twitter);
+  }
+
+  // Later calls fail straight away instead of hitting the provider again
+  try {
+    await tokenManager.getAccessToken(loadUser(), "twitter");
+    console.log("❌ needs_reauth short-circuit FAILED (token returned)");
+  } catch (error) {
+    const ok = error.code === "needs_reauth"
+      && refreshes === 1
+      && tokenManager.connectionStatus(stored.twitter) === "needs_reauth";
+    console.log(ok ? "✅ needs_reauth short-circuit SUCCESS" : "❌ needs_reauth short-circuit FAILED");
+  }
+}
+
+async function testTransientFailureKeepsToken() {
+  console.log("\n🧪 Testing a transient failure keeps the current token...");
+  // Inside the 5 minute renewal window, but not expired yet
+  reset({ tokenExpiresAt: new Date(Date.now() + 60 * 1000) });
+  refreshResult = () => {
+    throw httpError(503, "Service Unavailable");
+  };
+
+  try {
+    const token = await tokenManager.getAccessToken(loadUser(), "twitter");
+
+    const ok = token === "old_token" && stored.twitter.authStatus !== "needs_reauth" && !lockedUntil();
+    console.log(ok ? "✅ Transient failure SUCCESS" : "❌ Transient failure FAILED");
+    if (!ok) console.log("   Token:", token, "Stored:", stored.twitter);
+  } catch (error) {
+    console.log("❌ Transient failure FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function runAllTests() {
+  console.log("=====================================");
+  console.log("Token Manager Test Suite");
+  console.log("=====================================");
+
+  await testConcurrentCallersShareRefresh();
+  await testWaiterUsesHolderResult();
+  await testExpiredLeaseTakenOver();
+  await testRefusalMarksNeedsReauth();
+  await testTransientFailureKeepsToken();
+
+  console.log("\n=====================================");
+  console.log("✅ Test suite complete!\n");
+}
+
+// Execute if run directly
+if (require.main === module) {
+  runAllTests().catch(console.error);
+}
@@ -0,0 +1,271 @@
+// test-youtube-subscriptions.js - PubSubHubbub subscription manager against a stub hub
+// Run with: node test-youtube-subscriptions.js
+// (no database or network needed: the hub and our callback both run locally,
+// and the user model is stubbed with an in-memory collection)
+
+const http = require("http");
+const express = require("express");
+const axios = require("axios");
+const User = require("./src/schema/user.schema");
+
+const CHANNEL_ID = "UC_test_channel";
+const REQUESTED_LEASE_SECONDS = 432000;
+
+// In-memory users, with just enough of exists/updateMany for the subscription manager
+let users = [];
+
+const matches = (user, filter) => Object.entries(filter).every(([path, expected]) => {
+  const actual = path.split(".").reduce((value, key) => value?.[key], user);
+  return actual === expected;
+});
+
+const setPath = (user, path, value) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((value, key) => (value[key] = value[key] || {}), user);
+  if (value === undefined) {
+    delete parent[keys[keys.length - 1]];
+  } else {
+    parent[keys[keys.length - 1]] = value;
+  }
+};
+
+User.exists = async (filter) => (users.some(user => matches(user, filter)) ? { _id: "user_1" } : null);
+
+User.updateMany = async (filter, update) => {
+  const matched = users.filter(user => matches(user, filter));
+  for (const user of matched) {
+    for (const [path, value] of Object.entries(update.$set || {})) setPath(user, path, value);
+    for (const path of Object.keys(update.$unset || {})) setPath(user, path, undefined);
+  }
+  return { matchedCount: matched.length };
+};
+
+const connectChannel = (subscription = {}) => {
+  users = [{ youtube: { channelId: CHANNEL_ID, subscription } }];
+};
+
+const verify = (mode, extra = {}) => axios.get(process.env.YOUTUBE_WEBHOOK_CALLBACK_URL, {
+  params: {
+    "hub.mode": mode,
+    "hub.topic": `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${CHANNEL_ID}`,
+    "hub.challenge": `challenge_${mode}`,
+    ...extra
+  },
+  validateStatus: () => true
+});
+
+// Stub hub: records subscription requests, answers 202 and then verifies
+// intent against hub.callback the way pubsubhubbub.appspot.com does
+const hubRequests = [];
+const verifications = [];
+
+const hub = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => (body += chunk));
+  req.on("end", async () => {
+    const form = Object.fromEntries(new URLSearchParams(body));
+    hubRequests.push({ headers: req.headers, form });
+
+    if (form["hub.topic"].endsWith("UC_rejected")) {
+      res.writeHead(400);
+      return res.end("Invalid topic");
+    }
+
+    res.writeHead(202);
+    res.end();
+
+    // Hubs may grant a different lease than requested; grant twice as long
+    const challenge = `challenge_${hubRequests.length}`;
+    try {
+      const response = await axios.get(form["hub.callback"], {
+        params: {
+          "hub.mode": form["hub.mode"],
+          "hub.topic": form["hub.topic"],
+          "hub.challenge": challenge,
+          ...(form["hub.lease_seconds"] && { "hub.lease_seconds": String(Number(form["hub.lease_seconds"]) * 2) })
+        },
+        validateStatus: () => true
+      });
+      verifications.push({ mode: form["hub.mode"], status: response.status, echoed: response.data === challenge });
+    } catch (error) {
+      verifications.push({ mode: form["hub.mode"], error: error.message });
+    }
+  });
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+};
+
+async function testSubscribeRequest(subscriptions) {
+  console.log("\n🧪 Testing subscribe request...");
+
+  try {
+    const status = await subscriptions.requestSubscription(CHANNEL_ID, "subscribe");
+    const { form, headers } = hubRequests[hubRequests.length - 1];
+
+    // The hub verifies it too; no user is connected, so it's refused
+    await waitFor(() => verifications.length === 1);
+
+    const ok = status === 202
+      && headers["content-type"].startsWith("application/x-www-form-urlencoded")
+      && form["hub.mode"] === "subscribe"
+      && form["hub.topic"] === `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${CHANNEL_ID}`
+      && form["hub.callback"] === process.env.YOUTUBE_WEBHOOK_CALLBACK_URL
+      && form["hub.lease_seconds"] === "432000"
+      && form["hub.secret"] === process.env.YOUTUBE_WEBHOOK_SECRET;
+
+    console.log(ok ? "✅ Subscribe request SUCCESS" : "❌ Subscribe request FAILED");
+    if (!ok) console.log("   Hub received:", form);
+  } catch (error) {
+    console.log("❌ Subscribe request FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testSubscribeVerification(subscriptions) {
+  console.log("\n🧪 Testing subscribe + intent verification...");
+  connectChannel();
+
+  try {
+    const before = Date.now();
+    const seen = verifications.length;
+    await subscriptions.subscribeChannel(CHANNEL_ID);
+
+    await waitFor(() => verifications.slice(seen).some(v => v.mode === "subscribe"));
+    const verification = verifications.slice(seen).find(v => v.mode === "subscribe");
+    const subscription = users[0].youtube.subscription;
+
+    // The lease is capped at what we asked for, not what the hub granted
+    const leaseMs = subscription.leaseExpiresAt - before;
+    const ok = verification?.status === 200
+      && verification.echoed
+      && subscription.status === "active"
+      && leaseMs >= REQUESTED_LEASE_SECONDS * 1000
+      && leaseMs < (REQUESTED_LEASE_SECONDS + 60) * 1000;
+
+    console.log(ok ? "✅ Subscribe verification SUCCESS" : "❌ Subscribe verification FAILED");
+    if (!ok) console.log("   Verification:", verification, "Subscription:", subscription);
+  } catch (error) {
+    console.log("❌ Subscribe verification FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testUnrequestedVerificationRefused() {
+  console.log("\n🧪 Testing verifications we didn't ask for...");
+
+  // Subscribe with no request pending (already active)
+  connectChannel({ status: "active" });
+  const subscribe = await verify("subscribe", { "hub.lease_seconds": "60" });
+  const untouched = users[0].youtube.subscription.status === "active" && !users[0].youtube.subscription.leaseExpiresAt;
+
+  // Unsubscribe of a channel a user still has connected
+  const unsubscribe = await verify("unsubscribe");
+
+  const ok = subscribe.status === 404 && untouched && unsubscribe.status === 404;
+  console.log(ok ? "✅ Unrequested verifications refused" : "❌ Unrequested verifications FAILED");
+  if (!ok) console.log("   Subscribe:", subscribe.status, "Unsubscribe:", unsubscribe.status);
+}
+
+async function testUnsubscribeVerification(subscriptions) {
+  console.log("\n🧪 Testing unsubscribe + intent verification...");
+  // Disconnected: no user has the channel any more
+  users = [];
+
+  try {
+    const seen = verifications.length;
+    await subscriptions.unsubscribeChannel(CHANNEL_ID);
+    const { form } = hubRequests[hubRequests.length - 1];
+
+    await waitFor(() => verifications.slice(seen).some(v => v.mode === "unsubscribe"));
+    const verification = verifications.slice(seen).find(v => v.mode === "unsubscribe");
+
+    const ok = form["hub.mode"] === "unsubscribe"
+      && !form["hub.secret"]
+      && !form["hub.lease_seconds"]
+      && verification?.status === 200
+      && verification.echoed;
+
+    console.log(ok ? "✅ Unsubscribe verification SUCCESS" : "❌ Unsubscribe verification FAILED");
+    if (!ok) console.log("   Hub received:", form, "Verification:", verification);
+  } catch (error) {
+    console.log("❌ Unsubscribe verification FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function testForeignTopicRefused(callbackUrl) {
+  console.log("\n🧪 Testing verification for a foreign topic...");
+
+  const response = await axios.get(callbackUrl, {
+    params: {
+      "hub.mode": "unsubscribe",
+      "hub.topic": "https://example.com/feed?channel_id=UC_other",
+      "hub.challenge": "nope"
+    },
+    validateStatus: () => true
+  });
+
+  console.log(response.status === 404 ? "✅ Foreign topic refused" : `❌ Foreign topic answered ${response.status}`);
+}
+
+async function testHubRejection(subscriptions) {
+  console.log("\n🧪 Testing hub rejection...");
+
+  try {
+    await subscriptions.requestSubscription("UC_rejected", "subscribe");
+    console.log("❌ Hub rejection FAILED (request resolved)");
+  } catch (error) {
+    const ok = error.message.includes("400") && error.message.includes("Invalid topic");
+    console.log(ok ? "✅ Hub rejection surfaced" : "❌ Hub rejection FAILED");
+    console.log("   Error:", error.message);
+  }
+}
+
+async function runAllTests() {
+  console.log("=====================================");
+  console.log("YouTube Subscription Test Suite");
+  console.log("=====================================");
+
+  // Our side: just the webhook routes, the same way index.js mounts them
+  const app = express();
+  app.use(express.text({ type: ["application/atom+xml", "application/xml", "text/xml"] }));
+  app.use("/api/webhooks", require("./src/routes/webhook.route"));
+  const callback = http.createServer(app);
+
+  await listen(hub);
+  await listen(callback);
+
+  // The subscription manager reads these when it is loaded
+  process.env.YOUTUBE_HUB_URL = `http://127.0.0.1:${hub.address().port}/subscribe`;
+  process.env.YOUTUBE_WEBHOOK_CALLBACK_URL = `http://127.0.0.1:${callback.address().port}/api/webhooks/youtube`;
+  process.env.YOUTUBE_WEBHOOK_SECRET = "stub_hub_secret";
+  const subscriptions = require("./src/utils/youtubeSubscription.utils");
+
+  try {
+    await testSubscribeRequest(subscriptions);
+    await testSubscribeVerification(subscriptions);
+    await testUnrequestedVerificationRefused();
+    await testUnsubscribeVerification(subscriptions);
+    await testForeignTopicRefused(process.env.YOUTUBE_WEBHOOK_CALLBACK_URL);
+    await testHubRejection(subscriptions);
+  } finally {
+    hub.close();
+    callback.close();
+  }
+
+  console.log("\n=====================================");
+  console.log("✅ Test suite complete!\n");
+}
+
+// Execute if run directly
+if (require.main === module) {
+  runAllTests().catch(console.error);
+}